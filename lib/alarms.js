@@ -0,0 +1,152 @@
+// Alarm lifecycle: triggered → acknowledged → resolved
+//
+// A device has at most one open (unresolved) alarm; further detections while
+// it is open are added to it instead of opening a new one: consecutive ones
+// share a single 'retriggered' history entry with a count, and at most
+// ALARM_MAX_EVENT_IDS event IDs are kept: the first and the newest. Alarms are saved to
+// DATA_DIR/alarms.json, keeping every open alarm and the most recent resolved ones.
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./storage');
+
+const ALARMS_FILE = 'alarms.json';
+const MAX_RESOLVED = parseInt(process.env.ALARMS_MAX_RESOLVED || '500', 10);
+const MAX_EVENT_IDS = parseInt(process.env.ALARM_MAX_EVENT_IDS || '100', 10);
+const STATES = ['triggered', 'acknowledged', 'resolved'];
+
+const alarms = new Map(readJson(ALARMS_FILE, []).map(alarm => [alarm.id, alarm]));
+
+function save() {
+  // Drop the oldest resolved alarms beyond the limit; the event history keeps them
+  const resolved = [...alarms.values()].filter(a => a.state === 'resolved');
+  for (const alarm of resolved.slice(0, Math.max(0, resolved.length - MAX_RESOLVED))) {
+    alarms.delete(alarm.id);
+  }
+
+  try {
+    writeJson(ALARMS_FILE, [...alarms.values()]);
+  } catch (error) {
+    console.error('❌ Could not persist alarms:', error.message);
+  }
+}
+
+function getOpenAlarm(deviceId) {
+  for (const alarm of alarms.values()) {
+    if (alarm.deviceId === deviceId && alarm.state !== 'resolved') return alarm;
+  }
+  return null;
+}
+
+// Open an alarm for a detection, or add the detection to the device's open alarm
+function triggerAlarm({ deviceId, eventId, transcript, confidence, triggeredWords, policyId }) {
+  const now = new Date().toISOString();
+  let alarm = getOpenAlarm(deviceId);
+
+  if (alarm) {
+    alarm.detections++;
+    alarm.lastTriggeredAt = now;
+    alarm.eventIds.push(eventId);
+    if (alarm.eventIds.length > MAX_EVENT_IDS) {
+      alarm.eventIds.splice(1, alarm.eventIds.length - MAX_EVENT_IDS);
+    }
+    const last = alarm.history[alarm.history.length - 1];
+    if (last.state === 'retriggered') {
+      last.count = (last.count || 1) + 1;
+      last.lastAt = now;
+      last.eventId = eventId;
+    } else {
+      alarm.history.push({ state: 'retriggered', at: now, lastAt: now, count: 1, eventId });
+    }
+  } else {
+    alarm = {
+      id: crypto.randomUUID(),
+      deviceId,
+      state: 'triggered',
+      transcript,
+      confidence,
+      triggeredWords,
+      detections: 1,
+      eventIds: [eventId],
+      triggeredAt: now,
+      lastTriggeredAt: now,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      policyId: policyId || null,
+      escalations: [],
+      history: [{ state: 'triggered', at: now, eventId }]
+    };
+    alarms.set(alarm.id, alarm);
+  }
+
+  save();
+  return alarm;
+}
+
+// Move an alarm to a new state; returns null if it does not exist and throws
+// if the transition is not allowed (nothing follows resolved, nothing goes back)
+function transition(alarmId, state, { by, note } = {}) {
+  const alarm = alarms.get(alarmId);
+  if (!alarm) return null;
+
+  if (STATES.indexOf(state) <= STATES.indexOf(alarm.state)) {
+    throw new Error(`Alarm is already ${alarm.state}`);
+  }
+
+  const now = new Date().toISOString();
+  alarm.state = state;
+  alarm[`${state}At`] = now;
+  alarm[`${state}By`] = by || null;
+  alarm.history.push({ state, at: now, by: by || null, note: note || null });
+
+  save();
+  return alarm;
+}
+
+function acknowledgeAlarm(alarmId, details) {
+  return transition(alarmId, 'acknowledged', details);
+}
+
+function resolveAlarm(alarmId, details) {
+  return transition(alarmId, 'resolved', details);
+}
+
+// Record an escalation step that ran: { step, action, results }
+function recordEscalation(alarmId, entry) {
+  const alarm = alarms.get(alarmId);
+  if (!alarm) return null;
+
+  const at = new Date().toISOString();
+  alarm.escalations.push({ ...entry, at });
+  alarm.history.push({ state: 'escalated', at, step: entry.step, action: entry.action });
+
+  save();
+  return alarm;
+}
+
+function getAlarm(alarmId) {
+  return alarms.get(alarmId) || null;
+}
+
+// List alarms, newest first; state may be a lifecycle state or "open"
+function listAlarms({ state, deviceId } = {}) {
+  return [...alarms.values()]
+    .filter(alarm => {
+      if (deviceId && alarm.deviceId !== deviceId) return false;
+      if (state === 'open') return alarm.state !== 'resolved';
+      if (state && alarm.state !== state) return false;
+      return true;
+    })
+    .reverse();
+}
+
+module.exports = {
+  STATES,
+  triggerAlarm,
+  acknowledgeAlarm,
+  resolveAlarm,
+  recordEscalation,
+  getAlarm,
+  getOpenAlarm,
+  listAlarms
+};
@@ -0,0 +1,214 @@
+// Arming state and quiet-hour schedules per device, saved to DATA_DIR/arming.json
+//
+// A device is 'armed' (alarms fire), 'disarmed' (detections are recorded as
+// suppressed) or in 'test' mode (detections are recorded as test events).
+// Transcription keeps running in every mode. The mode in effect is, in order:
+//   override - a mode set with an `until` time, until then
+//   schedule - the first weekly window that covers the current time in the
+//              schedule's time zone, e.g. disarmed Mon-Fri 18:00-21:00
+//   mode     - the device's own mode, 'armed' unless changed
+// Windows whose end is before their start run past midnight into the next day.
+const { readJsonById, writeJson } = require('./storage');
+
+const ARMING_FILE = 'arming.json';
+const MODES = ['armed', 'disarmed', 'test'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Device ID → { mode, override, schedule, updatedAt, updatedBy }
+const devices = readJsonById(ARMING_FILE);
+
+function save() {
+  writeJson(ARMING_FILE, devices);
+}
+
+function getEntry(deviceId) {
+  return devices[deviceId] || { mode: 'armed', override: null, schedule: null, updatedAt: null, updatedBy: null };
+}
+
+function checkMode(mode, field = 'mode') {
+  if (!MODES.includes(mode)) {
+    throw new Error(`"${field}" must be one of ${MODES.join(', ')}`);
+  }
+}
+
+function checkTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error(`Unknown time zone "${timezone}"`);
+  }
+}
+
+// Minutes since midnight of an "HH:MM" time
+function toMinutes(time) {
+  const match = TIME_PATTERN.exec(time);
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+// Validate a schedule { timezone, windows: [{ days, start, end, mode }] }, throwing on bad input
+function normalizeSchedule(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Schedule body must be an object');
+  }
+  const timezone = data.timezone === undefined ? 'UTC' : data.timezone;
+  if (typeof timezone !== 'string') {
+    throw new Error('"timezone" must be an IANA time zone such as "Europe/Berlin"');
+  }
+  checkTimeZone(timezone);
+  if (!Array.isArray(data.windows)) {
+    throw new Error('"windows" must be an array');
+  }
+
+  const windows = data.windows.map((window, index) => {
+    const label = `Window ${index + 1}`;
+    if (!window || typeof window !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    const days = window.days === undefined ? [...DAYS] : window.days;
+    if (!Array.isArray(days) || days.length === 0) {
+      throw new Error(`${label}: "days" must be a non-empty array`);
+    }
+    const normalizedDays = days.map(d => String(d).toLowerCase().slice(0, 3));
+    const unknownDay = normalizedDays.find(d => !DAYS.includes(d));
+    if (unknownDay !== undefined) {
+      throw new Error(`${label}: unknown day "${unknownDay}" (use ${DAYS.join(', ')})`);
+    }
+    for (const field of ['start', 'end']) {
+      if (typeof window[field] !== 'string' || !TIME_PATTERN.test(window[field])) {
+        throw new Error(`${label}: "${field}" must be a time such as "21:30"`);
+      }
+    }
+    if (window.start === window.end) {
+      throw new Error(`${label}: "start" and "end" must differ`);
+    }
+    const mode = window.mode === undefined ? 'disarmed' : window.mode;
+    checkMode(mode, `${label} mode`);
+
+    return {
+      days: DAYS.filter(d => normalizedDays.includes(d)),
+      start: window.start,
+      end: window.end,
+      mode
+    };
+  });
+
+  return { timezone, windows };
+}
+
+// Day of the week and minutes since midnight of a moment in a time zone
+function localTime(now, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+  return {
+    day: DAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+// First schedule window covering a moment, or null
+function activeWindow(schedule, now) {
+  if (!schedule || schedule.windows.length === 0) return null;
+  const { day, minutes } = localTime(now, schedule.timezone);
+  const today = DAYS[day];
+  const yesterday = DAYS[(day + 6) % 7];
+
+  return schedule.windows.find(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) {
+      return window.days.includes(today) && minutes >= start && minutes < end;
+    }
+    // Overnight: the evening part belongs to the listed day, the morning part to the day after
+    return (window.days.includes(today) && minutes >= start) || (window.days.includes(yesterday) && minutes < end);
+  }) || null;
+}
+
+// Mode in effect for a device: { mode, source, until, window }
+function getState(deviceId, now = new Date()) {
+  const entry = getEntry(deviceId);
+  if (entry.override && Date.parse(entry.override.until) > now.getTime()) {
+    return { mode: entry.override.mode, source: 'override', until: entry.override.until, window: null };
+  }
+  const window = activeWindow(entry.schedule, now);
+  if (window) {
+    return { mode: window.mode, source: 'schedule', until: null, window };
+  }
+  return { mode: entry.mode, source: 'mode', until: null, window: null };
+}
+
+// Everything known about a device's arming, with the mode in effect
+function describe(deviceId, now = new Date()) {
+  const entry = getEntry(deviceId);
+  const override = entry.override && Date.parse(entry.override.until) > now.getTime() ? entry.override : null;
+  return {
+    deviceId,
+    ...getState(deviceId, now),
+    baseMode: entry.mode,
+    override,
+    schedule: entry.schedule,
+    updatedAt: entry.updatedAt,
+    updatedBy: entry.updatedBy
+  };
+}
+
+function listStates(now = new Date()) {
+  return Object.keys(devices).map(deviceId => describe(deviceId, now));
+}
+
+// Set a device's mode: { mode, until?, note? }. With `until` (an ISO time in
+// the future) the mode overrides the schedule until then; without it, it
+// becomes the device's own mode and any override is dropped.
+function setMode(deviceId, { mode, until, note } = {}, by = null) {
+  checkMode(mode);
+  const entry = { ...getEntry(deviceId) };
+
+  if (until !== undefined && until !== null) {
+    const time = Date.parse(until);
+    if (Number.isNaN(time) || time <= Date.now()) {
+      throw new Error('"until" must be an ISO date/time in the future');
+    }
+    entry.override = { mode, until: new Date(time).toISOString(), note: note || null };
+  } else {
+    entry.mode = mode;
+    entry.override = null;
+  }
+  entry.updatedAt = new Date().toISOString();
+  entry.updatedBy = by;
+  devices[deviceId] = entry;
+  save();
+  return describe(deviceId);
+}
+
+// Replace a device's schedule, or remove it with null
+function setSchedule(deviceId, data, by = null) {
+  const entry = { ...getEntry(deviceId) };
+  entry.schedule = data === null ? null : normalizeSchedule(data);
+  entry.updatedAt = new Date().toISOString();
+  entry.updatedBy = by;
+  devices[deviceId] = entry;
+  save();
+  return describe(deviceId);
+}
+
+function forgetDevice(deviceId) {
+  if (!devices[deviceId]) return;
+  delete devices[deviceId];
+  save();
+}
+
+module.exports = {
+  MODES,
+  getState,
+  describe,
+  listStates,
+  setMode,
+  setSchedule,
+  forgetDevice
+};
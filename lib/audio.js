@@ -0,0 +1,95 @@
+const SAMPLE_RATE = 16000;
+
+// Format of streamed audio when a device does not say otherwise
+const DEFAULT_FORMAT = { encoding: 'linear16', sampleRate: SAMPLE_RATE, channels: 1 };
+
+// Bytes per sample of each stream encoding
+const ENCODING_BYTES = {
+  linear16: 2,
+  mulaw: 1,
+  alaw: 1,
+  float32: 4
+};
+
+function bytesPerSecond(format = DEFAULT_FORMAT) {
+  return format.sampleRate * format.channels * ENCODING_BYTES[format.encoding];
+}
+
+// Create WAV buffer from 16-bit PCM data
+function createWavBuffer(pcmData, sampleRate = SAMPLE_RATE, numChannels = 1) {
+  const bitsPerSample = 16;
+  const byteRate = sampleRate * numChannels * bitsPerSample / 8;
+  const blockAlign = numChannels * bitsPerSample / 8;
+  const dataSize = pcmData.length;
+  const fileSize = 44 + dataSize;
+  
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(fileSize - 8, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(numChannels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  
+  return Buffer.concat([header, pcmData]);
+}
+
+// Parse a PCM WAV file into its format fields and sample data
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  
+  let format = null;
+  let offset = 12;
+  
+  // Walk the RIFF chunks looking for 'fmt ' and 'data'
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+    
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(chunkStart),
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+      };
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format code at the start of its sub-format GUID
+      if (format.audioFormat === 0xFFFE && chunkSize >= 40) {
+        format.subFormat = buffer.readUInt16LE(chunkStart + 24);
+      }
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk found before fmt chunk');
+      }
+      // Streaming writers often leave the size at 0 or 0xFFFFFFFF
+      const end = chunkSize === 0 || chunkSize === 0xFFFFFFFF
+        ? buffer.length
+        : Math.min(buffer.length, chunkStart + chunkSize);
+      return { ...format, data: buffer.subarray(chunkStart, end) };
+    }
+    
+    // Chunks are padded to an even length
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+  
+  throw new Error('WAV file has no data chunk');
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  DEFAULT_FORMAT,
+  ENCODING_BYTES,
+  bytesPerSecond,
+  createWavBuffer,
+  parseWav
+};
@@ -0,0 +1,60 @@
+// Audit log of configuration changes and device control, appended to DATA_DIR/audit.jsonl
+//
+// An entry is { id, timestamp, actor, action, target, details } where actor is
+// { id, name, role } of the token or session that made the change. The newest
+// AUDIT_HISTORY_LIMIT entries are kept, in memory and on disk.
+const crypto = require('crypto');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+
+const AUDIT_FILE = 'audit.jsonl';
+const DEFAULT_PAGE_SIZE = 100;
+const AUDIT_HISTORY_LIMIT = parseInt(process.env.AUDIT_HISTORY_LIMIT || '10000', 10);
+
+const entries = readJsonLines(AUDIT_FILE);
+trimHistory();
+
+// Drop the oldest entries beyond AUDIT_HISTORY_LIMIT, letting the log run 10%
+// over first so the file is not rewritten for every entry
+function trimHistory() {
+  if (entries.length <= AUDIT_HISTORY_LIMIT * 1.1) return;
+  entries.splice(0, entries.length - AUDIT_HISTORY_LIMIT);
+  try {
+    writeJsonLines(AUDIT_FILE, entries);
+  } catch (error) {
+    console.error('❌ Could not trim audit log:', error.message);
+  }
+}
+
+function recordAudit(principal, action, target, details = null) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    actor: principal ? { id: principal.id, name: principal.name, role: principal.role } : null,
+    action,
+    target,
+    details
+  };
+
+  try {
+    appendJsonLine(AUDIT_FILE, entry);
+  } catch (error) {
+    console.error('❌ Could not persist audit entry:', error.message);
+  }
+  entries.push(entry);
+  trimHistory();
+  return entry;
+}
+
+// Newest entries first, optionally only one action or target
+function listAudit({ action, target, limit } = {}) {
+  const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), 1000);
+  return entries
+    .filter(e => (!action || e.action === action) && (!target || e.target === target))
+    .slice(-size)
+    .reverse();
+}
+
+module.exports = {
+  recordAudit,
+  listAudit
+};
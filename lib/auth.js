@@ -0,0 +1,209 @@
+// Operator authentication: API tokens with roles, and login sessions for the web pages
+//
+// Roles, each including the ones before it:
+//   viewer   - read configuration, alarms, events and devices; open the home page
+//   operator - acknowledge/resolve alarms, control devices, use the device page
+//   admin    - change configuration, devices, webhooks and tokens
+// Tokens are sent as "Authorization: Bearer <token>" and saved hashed to
+// DATA_DIR/tokens.json. ADMIN_TOKEN, if set, is an extra admin token that is
+// never saved (use it to create the others). Logging in with a token sets a
+// session cookie; sessions are kept in memory and end when the server restarts.
+// With ADMIN_AUTH=off every request is treated as admin (development only).
+const crypto = require('crypto');
+const { readJsonById, writeJson } = require('./storage');
+
+const TOKENS_FILE = 'tokens.json';
+const ROLES = ['viewer', 'operator', 'admin'];
+const AUTH_REQUIRED = (process.env.ADMIN_AUTH || 'required').toLowerCase() !== 'off';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const SESSION_TTL_MS = parseFloat(process.env.SESSION_TTL_HOURS || '12') * 60 * 60 * 1000;
+const SESSION_COOKIE = 'voice_alarm_session';
+
+const tokens = readJsonById(TOKENS_FILE);
+
+// Session ID → { principal, expiresAt }
+const sessions = new Map();
+
+function save() {
+  writeJson(TOKENS_FILE, tokens);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hasRole(principal, role) {
+  return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+// Token as returned by the API, without its hash
+function toPublic(entry) {
+  const { tokenHash, ...rest } = entry;
+  return rest;
+}
+
+function listTokens() {
+  return Object.values(tokens).map(toPublic);
+}
+
+// Create a token; returns { token: details, secret } (the secret is only shown here)
+function createToken(data) {
+  if (!data || typeof data.name !== 'string' || data.name.trim().length === 0) {
+    throw new Error('"name" must be a non-empty string');
+  }
+  if (!ROLES.includes(data.role)) {
+    throw new Error(`"role" must be one of ${ROLES.join(', ')}`);
+  }
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const entry = {
+    id: crypto.randomUUID(),
+    name: data.name.trim(),
+    role: data.role,
+    tokenHash: hashToken(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  tokens[entry.id] = entry;
+  save();
+  return { token: toPublic(entry), secret };
+}
+
+// Revoke a token and end its sessions
+function deleteToken(tokenId) {
+  if (!tokens[tokenId]) return false;
+  delete tokens[tokenId];
+  save();
+  for (const [sessionId, session] of sessions) {
+    if (session.principal.id === tokenId) sessions.delete(sessionId);
+  }
+  return true;
+}
+
+// Principal for a bearer token, or null if it is not valid
+function verifyToken(secret) {
+  if (!secret) return null;
+  const hash = hashToken(secret);
+
+  if (ADMIN_TOKEN && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashToken(ADMIN_TOKEN), 'hex'))) {
+    return { id: 'admin-token', name: 'admin', role: 'admin' };
+  }
+
+  const entry = Object.values(tokens).find(t => t.tokenHash === hash);
+  if (!entry) return null;
+
+  // Saving on every request would rewrite the file constantly; a minute's precision is enough
+  if (!entry.lastUsedAt || Date.now() - Date.parse(entry.lastUsedAt) > 60000) {
+    entry.lastUsedAt = new Date().toISOString();
+    save();
+  }
+  return { id: entry.id, name: entry.name, role: entry.role };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index <= 0) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      // Ignore cookies that are not ours and not URI-encoded
+    }
+  }
+  return cookies;
+}
+
+// Principal making a request (bearer token first, then session cookie), or null
+function authenticate(req) {
+  if (!AUTH_REQUIRED) {
+    return { id: 'anonymous', name: 'anonymous', role: 'admin' };
+  }
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    const principal = verifyToken(header.slice(7).trim());
+    if (principal) return principal;
+  }
+
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = sessionId && sessions.get(sessionId);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  return session.principal;
+}
+
+// Drop expired sessions; ones whose cookie is never presented again would otherwise stay forever
+function sweepSessions() {
+  const now = Date.now();
+  for (const [sessionId, session] of sessions) {
+    if (session.expiresAt < now) sessions.delete(sessionId);
+  }
+}
+
+// Start a session for a token; returns { principal, cookie } or null if the token is invalid
+function login(secret, secure) {
+  const principal = AUTH_REQUIRED ? verifyToken(secret) : authenticate({ headers: {} });
+  if (!principal) return null;
+
+  sweepSessions();
+  const sessionId = crypto.randomBytes(32).toString('base64url');
+  sessions.set(sessionId, { principal, expiresAt: Date.now() + SESSION_TTL_MS });
+
+  const cookie = [
+    `${SESSION_COOKIE}=${sessionId}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`,
+    secure ? 'Secure' : null
+  ].filter(Boolean).join('; ');
+  return { principal, cookie };
+}
+
+// End the request's session; returns a cookie that clears it in the browser
+function logout(req) {
+  sessions.delete(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+}
+
+// Express middleware allowing only principals with at least the given role.
+// API requests get 401/403 JSON; page requests are sent to the login page.
+function requireRole(role) {
+  return (req, res, next) => {
+    const principal = authenticate(req);
+    if (hasRole(principal, role)) {
+      req.principal = principal;
+      return next();
+    }
+
+    // Pages send whoever is not signed in to the login page; a signed-in user
+    // without the role gets a 403 page, as signing in again would loop
+    if (!req.path.startsWith('/api/')) {
+      if (!principal) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(403).render('forbidden', { name: principal.name, currentRole: principal.role, role, next: req.originalUrl });
+    }
+    if (!principal) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    res.status(403).json({ success: false, error: `Requires the ${role} role` });
+  };
+}
+
+module.exports = {
+  ROLES,
+  AUTH_REQUIRED,
+  hasRole,
+  listTokens,
+  createToken,
+  deleteToken,
+  authenticate,
+  login,
+  logout,
+  requireRole
+};
@@ -0,0 +1,38 @@
+// In-process event bus for outbound integrations (webhooks, ...)
+//
+// publish(type, data) emits the event under its own type and under '*', so a
+// listener can follow one event type or everything.
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = [
+  'transcription.received',
+  'alarm.triggered',
+  'alarm.acknowledged',
+  'alarm.resolved',
+  'alarm.escalated',
+  'device.online',
+  'device.offline',
+  'device.alert',
+  'device.recovered',
+  'provider.failover'
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+function publish(type, data) {
+  const event = { type, timestamp: new Date().toISOString(), data };
+  bus.emit(type, event);
+  bus.emit('*', event);
+}
+
+function subscribe(type, listener) {
+  bus.on(type, listener);
+  return () => bus.off(type, listener);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  subscribe
+};
@@ -0,0 +1,191 @@
+// Live operations dashboard: per-connection stats pushed to browsers over Server-Sent Events
+//
+// The server reports WebSocket connects, disconnects and audio bytes; transcripts
+// and alarm changes come from the bus. Subscribers get a full `snapshot` event
+// when they connect, whenever something changes (at most every
+// SNAPSHOT_THROTTLE_MS) and every TICK_MS for the throughput figures, plus an
+// `activity` event for each transcript and alarm change.
+const alarms = require('./alarms');
+const { subscribe } = require('./bus');
+const vad = require('./vad');
+const arming = require('./arming');
+
+const TICK_MS = 2000;
+const SNAPSHOT_THROTTLE_MS = 500;
+const ACTIVITY_TYPES = ['transcription.received', 'alarm.triggered', 'alarm.acknowledged', 'alarm.resolved', 'alarm.escalated', 'device.online', 'device.offline', 'device.alert', 'device.recovered', 'provider.failover'];
+
+// Device ID → stats of its live connection
+const connections = new Map();
+const clients = new Set();
+let pendingSnapshot = null;
+let lastTick = Date.now();
+
+function deviceConnected(deviceId, provider) {
+  connections.set(deviceId, {
+    deviceId,
+    provider,
+    connectedAt: new Date().toISOString(),
+    bytesReceived: 0,
+    bytesPerSecond: 0,
+    windowBytes: 0,
+    lastAudioAt: null,
+    lastTranscript: null,
+    session: null,
+    upstream: 'connected'
+  });
+  scheduleSnapshot();
+}
+
+function sessionStarted(deviceId, session) {
+  const stats = connections.get(deviceId);
+  if (!stats) return;
+  stats.session = session;
+  scheduleSnapshot();
+}
+
+// The device's stream failed over to another provider
+function providerChanged(deviceId, provider) {
+  const stats = connections.get(deviceId);
+  if (!stats) return;
+  stats.provider = provider;
+  scheduleSnapshot();
+}
+
+// 'connected', or 'reconnecting' while the upstream session is being reopened
+function upstreamStateChanged(deviceId, state) {
+  const stats = connections.get(deviceId);
+  if (!stats || stats.upstream === state) return;
+  stats.upstream = state;
+  scheduleSnapshot();
+}
+
+function deviceDisconnected(deviceId) {
+  connections.delete(deviceId);
+  scheduleSnapshot();
+}
+
+function recordAudio(deviceId, bytes) {
+  const stats = connections.get(deviceId);
+  if (!stats) return;
+  stats.bytesReceived += bytes;
+  stats.windowBytes += bytes;
+  stats.lastAudioAt = new Date().toISOString();
+}
+
+// Short form of an alarm for the dashboard
+function summarizeAlarm(alarm) {
+  return {
+    id: alarm.id,
+    deviceId: alarm.deviceId,
+    state: alarm.state,
+    transcript: alarm.transcript,
+    triggeredWords: (alarm.triggeredWords || []).map(w => w.word),
+    detections: alarm.detections,
+    triggeredAt: alarm.triggeredAt,
+    acknowledgedBy: alarm.acknowledgedBy
+  };
+}
+
+function snapshot() {
+  const openAlarms = alarms.listAlarms({ state: 'open' });
+  return {
+    timestamp: new Date().toISOString(),
+    devices: [...connections.values()].map(({ windowBytes, ...stats }) => {
+      const alarm = openAlarms.find(a => a.deviceId === stats.deviceId);
+      return { ...stats, vad: vad.getDeviceStats(stats.deviceId), arming: arming.getState(stats.deviceId).mode, openAlarm: alarm ? summarizeAlarm(alarm) : null };
+    }),
+    alarms: openAlarms.map(summarizeAlarm)
+  };
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(event, data) {
+  for (const res of clients) {
+    send(res, event, data);
+  }
+}
+
+// Coalesce bursts of changes into one snapshot
+function scheduleSnapshot() {
+  if (pendingSnapshot || clients.size === 0) return;
+  pendingSnapshot = setTimeout(() => {
+    pendingSnapshot = null;
+    broadcast('snapshot', snapshot());
+  }, SNAPSHOT_THROTTLE_MS);
+}
+
+// Serve the SSE stream for one dashboard
+function openStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx from buffering the stream
+  });
+  send(res, 'snapshot', snapshot());
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+}
+
+// End every stream so the HTTP server can close
+function closeStreams() {
+  for (const res of clients) {
+    res.end();
+  }
+  clients.clear();
+}
+
+// Update throughput and refresh every dashboard
+setInterval(() => {
+  const now = Date.now();
+  const seconds = (now - lastTick) / 1000;
+  lastTick = now;
+
+  for (const stats of connections.values()) {
+    stats.bytesPerSecond = Math.round(stats.windowBytes / seconds);
+    stats.windowBytes = 0;
+  }
+  if (clients.size > 0) {
+    broadcast('snapshot', snapshot());
+  }
+}, TICK_MS).unref();
+
+subscribe('*', (event) => {
+  if (!ACTIVITY_TYPES.includes(event.type)) return;
+
+  const { deviceId } = event.data;
+  if (event.type === 'transcription.received' && connections.has(deviceId)) {
+    connections.get(deviceId).lastTranscript = {
+      transcript: event.data.transcript,
+      confidence: event.data.confidence,
+      triggered: event.data.triggered,
+      at: event.timestamp
+    };
+  }
+
+  if (clients.size === 0) return;
+  broadcast('activity', {
+    type: event.type,
+    timestamp: event.timestamp,
+    deviceId: deviceId || null,
+    transcript: event.data.transcript || (event.data.alarm && event.data.alarm.transcript) ||
+      (event.type === 'provider.failover' ? `${event.data.previous} → ${event.data.provider}` : null),
+    alarmId: event.data.alarm ? event.data.alarm.id : null
+  });
+  scheduleSnapshot();
+});
+
+module.exports = {
+  deviceConnected,
+  deviceDisconnected,
+  sessionStarted,
+  providerChanged,
+  upstreamStateChanged,
+  recordAudio,
+  snapshot,
+  openStream,
+  closeStreams
+};
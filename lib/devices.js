@@ -0,0 +1,154 @@
+// Device registry with per-device keys, saved to DATA_DIR/devices.json
+//
+// A device is { id, name, enabled, keyHash, createdAt, keyRotatedAt, lastAuthAt }.
+// Keys are random tokens shown once, when the device is provisioned or its key
+// is rotated; only their SHA-256 hash is stored. Devices present their key as
+// "Authorization: Bearer <key>", an X-Device-Key header or a ?key= query
+// parameter. With DEVICE_AUTH=off every device ID is accepted (development only).
+const crypto = require('crypto');
+const { readJsonById, writeJson } = require('./storage');
+
+const DEVICES_FILE = 'devices.json';
+const AUTH_REQUIRED = (process.env.DEVICE_AUTH || 'required').toLowerCase() !== 'off';
+
+// Device IDs end up in file keys, URLs and MQTT topics, so they are kept to a safe set of characters
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+const devices = readJsonById(DEVICES_FILE);
+
+function save() {
+  writeJson(DEVICES_FILE, devices);
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function newKey() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Device as returned by the API, without the key hash
+function toPublic(device) {
+  const { keyHash, ...rest } = device;
+  return rest;
+}
+
+function isValidId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+function listDevices() {
+  return Object.values(devices).map(toPublic);
+}
+
+function getDevice(deviceId) {
+  return devices[deviceId] ? toPublic(devices[deviceId]) : null;
+}
+
+// Provision a device; returns { device, key }, or null if the ID is taken
+function createDevice(data) {
+  const id = String(data && data.id || '').trim();
+  if (!isValidId(id)) {
+    throw new Error('"id" must be 1-64 letters, digits, "_", "-" or "."');
+  }
+  if (data.name !== undefined && typeof data.name !== 'string') {
+    throw new Error('"name" must be a string');
+  }
+  if (devices[id]) return null;
+
+  const key = newKey();
+  const now = new Date().toISOString();
+  devices[id] = {
+    id,
+    name: data.name ? data.name.trim() : id,
+    enabled: data.enabled !== false,
+    keyHash: hashKey(key).toString('hex'),
+    createdAt: now,
+    keyRotatedAt: now,
+    lastAuthAt: null
+  };
+  save();
+  return { device: toPublic(devices[id]), key };
+}
+
+// Enable or disable a device; returns null if it does not exist
+function setEnabled(deviceId, enabled) {
+  const device = devices[deviceId];
+  if (!device) return null;
+
+  device.enabled = enabled;
+  save();
+  return toPublic(device);
+}
+
+// Replace a device's key; returns { device, key }, or null if it does not exist
+function rotateKey(deviceId) {
+  const device = devices[deviceId];
+  if (!device) return null;
+
+  const key = newKey();
+  device.keyHash = hashKey(key).toString('hex');
+  device.keyRotatedAt = new Date().toISOString();
+  save();
+  return { device: toPublic(device), key };
+}
+
+function deleteDevice(deviceId) {
+  if (!devices[deviceId]) return false;
+  delete devices[deviceId];
+  save();
+  return true;
+}
+
+// Key presented by a request: bearer token, X-Device-Key header or ?key=
+function keyFromRequest(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  if (req.headers['x-device-key']) return String(req.headers['x-device-key']);
+  return new URL(req.url, 'http://localhost').searchParams.get('key');
+}
+
+// Check a device's credentials; returns null when it may connect, otherwise
+// { status, error } with 400 for malformed IDs (even with DEVICE_AUTH=off), 401
+// for missing/unknown credentials and 403 for disabled devices
+function verifyDevice(deviceId, key) {
+  if (deviceId && !isValidId(deviceId)) {
+    return { status: 400, error: 'Invalid device ID' };
+  }
+  if (!AUTH_REQUIRED) return null;
+
+  if (!deviceId) {
+    return { status: 401, error: 'Device ID required' };
+  }
+  const device = devices[deviceId];
+  if (!device || !key) {
+    return { status: 401, error: device ? 'Device key required' : 'Unknown device' };
+  }
+  if (!crypto.timingSafeEqual(hashKey(key), Buffer.from(device.keyHash, 'hex'))) {
+    return { status: 401, error: 'Invalid device key' };
+  }
+  if (!device.enabled) {
+    return { status: 403, error: 'Device is disabled' };
+  }
+
+  // Saving on every request would rewrite the file constantly; a minute's precision is enough
+  if (!device.lastAuthAt || Date.now() - Date.parse(device.lastAuthAt) > 60000) {
+    device.lastAuthAt = new Date().toISOString();
+    save();
+  }
+  return null;
+}
+
+module.exports = {
+  AUTH_REQUIRED,
+  isValidId,
+  listDevices,
+  getDevice,
+  createDevice,
+  setEnabled,
+  rotateKey,
+  deleteDevice,
+  keyFromRequest,
+  verifyDevice
+};
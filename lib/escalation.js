@@ -0,0 +1,222 @@
+// Escalation policies for alarms nobody acknowledges, saved to DATA_DIR/escalation.json
+//
+// A policy is { id, name, devices, profiles, steps }. It applies to the listed
+// device IDs, or to every device assigned to one of the listed profiles (the
+// device groups); the policy with id "default", if any, covers everyone else.
+// Each step is { afterSeconds, action, contacts }:
+//   resend_alarm - send ALARM to the device again
+//   notify       - POST the alarm to each contact's url (contacts without a
+//                  url are only logged); use one step per contact tier
+// Steps still due run afterSeconds after the alarm was triggered, unless the
+// alarm has been acknowledged or resolved by then.
+const axios = require('axios');
+const { readJsonById, writeJson } = require('./storage');
+const profiles = require('./profiles');
+
+const POLICIES_FILE = 'escalation.json';
+const DEFAULT_POLICY_ID = 'default';
+const ACTIONS = ['resend_alarm', 'notify'];
+const NOTIFY_TIMEOUT = 5000;
+
+const policies = readJsonById(POLICIES_FILE);
+
+// Pending step timers, by alarm ID
+const timers = new Map();
+
+function save() {
+  writeJson(POLICIES_FILE, policies);
+}
+
+// Validate policy fields, throwing on bad input; missing fields keep their current value
+function normalizePolicy(data, existing = {}) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Policy body must be an object');
+  }
+
+  const list = (value, name) => {
+    if (value === undefined) return existing[name] || [];
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      throw new Error(`"${name}" must be an array of strings`);
+    }
+    return value;
+  };
+
+  const steps = data.steps === undefined ? existing.steps : data.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('"steps" must be a non-empty array');
+  }
+
+  return {
+    name: typeof data.name === 'string' && data.name.trim().length > 0 ? data.name.trim() : existing.name,
+    devices: list(data.devices, 'devices'),
+    profiles: list(data.profiles, 'profiles'),
+    steps: steps.map(normalizeStep)
+  };
+}
+
+function normalizeStep(step, index) {
+  const label = `Step ${index + 1}`;
+  if (!step || typeof step !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const afterSeconds = Number(step.afterSeconds);
+  if (!(afterSeconds > 0)) {
+    throw new Error(`${label}: "afterSeconds" must be a positive number`);
+  }
+  if (!ACTIONS.includes(step.action)) {
+    throw new Error(`${label}: "action" must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  const contacts = step.contacts || [];
+  if (!Array.isArray(contacts)) {
+    throw new Error(`${label}: "contacts" must be an array`);
+  }
+  if (step.action === 'notify' && contacts.length === 0) {
+    throw new Error(`${label}: notify needs at least one contact`);
+  }
+  for (const contact of contacts) {
+    if (!contact || typeof contact.name !== 'string') {
+      throw new Error(`${label}: each contact needs a "name"`);
+    }
+    if (contact.url !== undefined && !/^https?:\/\//.test(contact.url)) {
+      throw new Error(`${label}: contact "${contact.name}" url must be http(s)`);
+    }
+  }
+
+  return {
+    afterSeconds,
+    action: step.action,
+    contacts: contacts.map(c => (c.url ? { name: c.name, url: c.url } : { name: c.name }))
+  };
+}
+
+function listPolicies() {
+  return Object.values(policies);
+}
+
+function getPolicy(policyId) {
+  return policies[policyId] || null;
+}
+
+// Create a policy; returns null if the ID is taken, throws on invalid input
+function createPolicy(data) {
+  const id = String(data && (data.id || data.name) || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+  if (id.length === 0) {
+    throw new Error('Policy needs an "id" or "name"');
+  }
+  if (policies[id]) return null;
+
+  const policy = { id, ...normalizePolicy({ name: id, ...data }) };
+  policies[id] = policy;
+  save();
+  return policy;
+}
+
+// Update a policy; returns null if it does not exist
+function updatePolicy(policyId, data) {
+  const existing = policies[policyId];
+  if (!existing) return null;
+
+  const policy = { id: policyId, ...normalizePolicy(data, existing) };
+  policies[policyId] = policy;
+  save();
+  return policy;
+}
+
+function deletePolicy(policyId) {
+  if (!policies[policyId]) return false;
+  delete policies[policyId];
+  save();
+  return true;
+}
+
+// Policy for a device: its own, then its profile's, then the default
+function getPolicyForDevice(deviceId) {
+  const all = listPolicies();
+  const profileId = profiles.getDeviceProfileId(deviceId);
+  return all.find(p => p.devices.includes(deviceId))
+    || all.find(p => p.profiles.includes(profileId))
+    || policies[DEFAULT_POLICY_ID]
+    || null;
+}
+
+// Schedule the steps of a policy that have not run yet; runStep(alarm, step, index)
+// is called for each one that comes due while the alarm is still unacknowledged
+function scheduleEscalation(alarm, policy, getAlarm, runStep) {
+  cancelEscalation(alarm.id);
+  if (!policy) return;
+
+  const done = new Set((alarm.escalations || []).map(e => e.step));
+  const elapsed = Date.now() - Date.parse(alarm.triggeredAt);
+  const pending = [];
+
+  policy.steps.forEach((step, index) => {
+    if (done.has(index)) return;
+
+    const timer = setTimeout(() => {
+      // Forget the alarm once its last step has come due
+      pending.splice(pending.indexOf(timer), 1);
+      if (pending.length === 0) timers.delete(alarm.id);
+
+      const current = getAlarm(alarm.id);
+      if (current && current.state === 'triggered') {
+        Promise.resolve(runStep(current, step, index)).catch((error) => {
+          console.error(`❌ [${current.deviceId}] Escalation step ${index + 1} failed:`, error.message);
+        });
+      }
+    }, Math.max(0, step.afterSeconds * 1000 - elapsed));
+    pending.push(timer);
+  });
+
+  if (pending.length > 0) timers.set(alarm.id, pending);
+}
+
+function cancelEscalation(alarmId) {
+  for (const timer of timers.get(alarmId) || []) {
+    clearTimeout(timer);
+  }
+  timers.delete(alarmId);
+}
+
+// POST the alarm to each contact with a url; returns one result per contact
+async function notifyContacts(alarm, step, index) {
+  const results = [];
+
+  for (const contact of step.contacts) {
+    if (!contact.url) {
+      console.log(`📣 [${alarm.deviceId}] Escalation: notify ${contact.name} (no url, logged only)`);
+      results.push({ contact: contact.name, status: 'logged' });
+      continue;
+    }
+
+    try {
+      await axios.post(contact.url, {
+        type: 'alarm.escalated',
+        step: index,
+        contact: contact.name,
+        alarm
+      }, { timeout: NOTIFY_TIMEOUT });
+      results.push({ contact: contact.name, status: 'delivered' });
+    } catch (error) {
+      console.error(`❌ [${alarm.deviceId}] Escalation to ${contact.name} failed:`, error.message);
+      results.push({ contact: contact.name, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  ACTIONS,
+  DEFAULT_POLICY_ID,
+  listPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  getPolicyForDevice,
+  scheduleEscalation,
+  cancelEscalation,
+  notifyContacts
+};
@@ -0,0 +1,132 @@
+// Alarm event history, appended to DATA_DIR/events.jsonl
+//
+// An event is { id, type, timestamp, deviceId, source, provider, profile,
+// transcript, confidence, triggeredWords, latencyMs }, plus preAlarmId and
+// earlyWarningMs for alarms an early PRE_ALARM announced (lib/prealarm.js).
+// Cancelled pre-alarms are 'pre_alarm.cancelled' events and detections
+// held back by lib/suppression.js 'detection.suppressed' events, both with
+// a reason. The newest EVENT_HISTORY_LIMIT events are kept in memory for
+// querying and reloaded from disk at startup; older ones are dropped from both.
+const crypto = require('crypto');
+const { readJsonLines, appendJsonLine, writeJsonLines } = require('./storage');
+
+const EVENTS_FILE = 'events.jsonl';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+const EVENT_HISTORY_LIMIT = parseInt(process.env.EVENT_HISTORY_LIMIT || '20000', 10);
+const CSV_COLUMNS = ['id', 'type', 'timestamp', 'deviceId', 'source', 'provider', 'profile', 'transcript', 'confidence', 'triggeredWords', 'latencyMs', 'earlyWarningMs', 'reason'];
+
+const events = readJsonLines(EVENTS_FILE);
+trimHistory();
+
+// Drop the oldest events beyond EVENT_HISTORY_LIMIT. Rewriting the file for
+// every event would be slow, so the history may run 10% over first.
+function trimHistory() {
+  if (events.length <= EVENT_HISTORY_LIMIT * 1.1) return;
+  events.splice(0, events.length - EVENT_HISTORY_LIMIT);
+  try {
+    writeJsonLines(EVENTS_FILE, events);
+  } catch (error) {
+    console.error('❌ Could not trim event history:', error.message);
+  }
+}
+
+// Persist an event and return it with its id and timestamp filled in
+function recordEvent(data) {
+  const event = {
+    id: crypto.randomUUID(),
+    type: 'alarm',
+    timestamp: new Date().toISOString(),
+    ...data
+  };
+
+  try {
+    appendJsonLine(EVENTS_FILE, event);
+  } catch (error) {
+    console.error('❌ Could not persist event:', error.message);
+  }
+  events.push(event);
+  trimHistory();
+  return event;
+}
+
+// Validate query parameters, throwing on bad input; limit 0 (every match) only with all
+function parseQuery(query, all) {
+  const parseTime = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`"${name}" must be an ISO date/time`);
+    return time;
+  };
+  const parseCount = (value, name, fallback, min, max) => {
+    if (value === undefined || value === '') return fallback;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < min) throw new Error(`"${name}" must be a whole number >= ${min}`);
+    return Math.min(count, max);
+  };
+
+  return {
+    deviceId: query.deviceId || null,
+    type: query.type || null,
+    word: query.word ? String(query.word).toLowerCase() : null,
+    from: parseTime(query.from, 'from'),
+    to: parseTime(query.to, 'to'),
+    limit: all
+      ? parseCount(query.limit, 'limit', 0, 0, Infinity)
+      : parseCount(query.limit, 'limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE),
+    offset: parseCount(query.offset, 'offset', 0, 0, Infinity)
+  };
+}
+
+// Filter events, newest first; returns { total, events } for the requested page.
+// Pages hold at most MAX_PAGE_SIZE events; with { all: true }, for exports,
+// every match is returned unless a limit is given.
+function queryEvents(query, { all = false } = {}) {
+  const { deviceId, type, word, from, to, limit, offset } = parseQuery(query, all);
+
+  const matches = events.filter(event => {
+    const time = Date.parse(event.timestamp);
+    if (deviceId && event.deviceId !== deviceId) return false;
+    if (type && event.type !== type) return false;
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    if (word && !(event.triggeredWords || []).some(m =>
+      m.word.toLowerCase() === word || String(m.matchedToken).toLowerCase() === word)) {
+      return false;
+    }
+    return true;
+  }).reverse();
+
+  return {
+    total: matches.length,
+    offset,
+    limit,
+    events: limit === 0 ? matches.slice(offset) : matches.slice(offset, offset + limit)
+  };
+}
+
+// Render events as CSV with a header row
+function toCsv(list) {
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    // Keep spreadsheets from treating transcripts as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = list.map(event => CSV_COLUMNS.map(column => {
+    if (column === 'triggeredWords') {
+      return escape((event.triggeredWords || []).map(m => m.word).join('; '));
+    }
+    return escape(event[column]);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  recordEvent,
+  queryEvents,
+  toCsv
+};
@@ -0,0 +1,182 @@
+// MQTT bridge for devices and tools on an MQTT network (enabled by MQTT_URL)
+//
+// Bus events are published to per-device topics under MQTT_TOPIC_PREFIX:
+//   <prefix>/<deviceId>/alarm           alarm.triggered/acknowledged/resolved/escalated
+//   <prefix>/<deviceId>/transcription   transcription.received
+//   <prefix>/<deviceId>/status          device.online/offline (retained)
+//   <prefix>/<deviceId>/alert           device.alert/recovered (offline or silent too long)
+//   <prefix>/<deviceId>/provider        provider.failover (stream moved to another provider)
+// and commands published to <prefix>/<deviceId>/command are relayed to the
+// device's live WebSocket, or queued for it to poll (lib/outbox.js) if it is
+// registered; commands for other IDs are refused. The payload is a command
+// name (ALARM, OFF, MIC_START, MIC_STOP) or JSON { command, ... }; the outcome is published to
+// <prefix>/<deviceId>/command/result. The server's own state is retained on
+// <prefix>/server/status, with "offline" set as the last will.
+const mqtt = require('mqtt');
+const WebSocket = require('ws');
+const { subscribe } = require('./bus');
+const outbox = require('./outbox');
+const devices = require('./devices');
+
+const MQTT_URL = process.env.MQTT_URL;
+const TOPIC_PREFIX = (process.env.MQTT_TOPIC_PREFIX || 'voice-alarm').replace(/\/+$/, '');
+const COMMANDS = ['ALARM', 'OFF', 'MIC_START', 'MIC_STOP'];
+
+// Bus event type → topic suffix
+const EVENT_TOPICS = {
+  'alarm.triggered': 'alarm',
+  'alarm.acknowledged': 'alarm',
+  'alarm.resolved': 'alarm',
+  'alarm.escalated': 'alarm',
+  'transcription.received': 'transcription',
+  'device.online': 'status',
+  'device.offline': 'status',
+  'device.alert': 'alert',
+  'device.recovered': 'alert',
+  'provider.failover': 'provider'
+};
+
+let client = null;
+let unsubscribe = null;
+
+function isEnabled() {
+  return Boolean(MQTT_URL);
+}
+
+function isConnected() {
+  return Boolean(client && client.connected);
+}
+
+// Whether a device ID can be a topic level: "+", "#", "/" and NUL are not allowed
+// in published topics, and a broker drops the connection of a client that uses them
+function isTopicSafe(deviceId) {
+  return typeof deviceId === 'string' && deviceId.length > 0 && !/[+#/\0]/.test(deviceId);
+}
+
+function deviceTopic(deviceId, suffix) {
+  return `${TOPIC_PREFIX}/${deviceId}/${suffix}`;
+}
+
+// Parse a command payload: "MIC_START", "mic/start" or {"command": "OFF", ...};
+// returns the device message, or null if it is not a known command
+function parseCommand(payload) {
+  const text = payload.toString().trim();
+  let message;
+
+  try {
+    const parsed = JSON.parse(text);
+    message = parsed && typeof parsed === 'object' ? { ...parsed } : { command: String(parsed) };
+  } catch (e) {
+    message = { command: text };
+  }
+
+  if (typeof message.command !== 'string') return null;
+  message.command = message.command.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  return COMMANDS.includes(message.command) ? message : null;
+}
+
+// Relay a command to the device's WebSocket, or queue it for a device that
+// polls over HTTP, and report the result on MQTT
+function relayCommand(deviceConnections, deviceId, payload) {
+  const message = parseCommand(payload);
+  const result = { command: message ? message.command : null, delivered: false, timestamp: new Date().toISOString() };
+
+  if (!message) {
+    result.error = `Unknown command (use ${COMMANDS.join(', ')})`;
+    console.warn(`⚠️ [MQTT] Ignoring unknown command for ${deviceId}: ${payload.toString().slice(0, 100)}`);
+  } else {
+    const ws = deviceConnections.get(deviceId);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ ...message, source: 'mqtt' }));
+      result.delivered = true;
+      console.log(`📨 [MQTT] ${message.command} relayed to ${deviceId}`);
+    } else if (!devices.getDevice(deviceId)) {
+      // Queuing for any ID a client makes up would fill the outbox
+      result.error = 'Unknown device';
+      console.warn(`⚠️ [MQTT] Ignoring ${message.command} for unknown device ${deviceId}`);
+    } else {
+      result.queued = outbox.enqueue(deviceId, { ...message, source: 'mqtt' }).seq;
+      console.log(`📥 [MQTT] ${message.command} for ${deviceId} queued for polling (seq ${result.queued})`);
+    }
+  }
+
+  client.publish(deviceTopic(deviceId, 'command/result'), JSON.stringify(result), { qos: 1 });
+}
+
+// Connect to the broker and start bridging; deviceConnections is the server's
+// map of device ID → WebSocket
+function start(deviceConnections) {
+  if (!isEnabled() || client) return;
+
+  const serverTopic = `${TOPIC_PREFIX}/server/status`;
+  client = mqtt.connect(MQTT_URL, {
+    clientId: process.env.MQTT_CLIENT_ID || `voice-alarm-server-${process.pid}`,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    will: { topic: serverTopic, payload: 'offline', qos: 1, retain: true }
+  });
+
+  client.on('connect', () => {
+    console.log(`✓ [MQTT] Connected to ${MQTT_URL} (topics: ${TOPIC_PREFIX}/#)`);
+    client.publish(serverTopic, 'online', { qos: 1, retain: true });
+    client.subscribe(`${TOPIC_PREFIX}/+/command`, { qos: 1 }, (error) => {
+      if (error) console.error('❌ [MQTT] Could not subscribe to command topics:', error.message);
+    });
+  });
+
+  client.on('message', (topic, payload) => {
+    const deviceId = topic.slice(TOPIC_PREFIX.length + 1).split('/')[0];
+    relayCommand(deviceConnections, deviceId, payload);
+  });
+
+  client.on('error', (error) => {
+    // Refused connections repeat on every reconnect attempt; 'offline' already reports them
+    if (error.code !== 'ECONNREFUSED') {
+      console.error('❌ [MQTT] Error:', error.message);
+    }
+  });
+
+  client.on('offline', () => {
+    console.warn('⚠️ [MQTT] Broker unreachable, reconnecting...');
+  });
+
+  // Events published while the broker is down are queued by the client
+  unsubscribe = subscribe('*', (event) => {
+    const suffix = EVENT_TOPICS[event.type];
+    const deviceId = event.data && event.data.deviceId;
+    if (!suffix || !deviceId) return;
+    if (!isTopicSafe(deviceId)) {
+      console.warn(`⚠️ [MQTT] Not publishing ${event.type}: device ID ${JSON.stringify(deviceId)} cannot be a topic level`);
+      return;
+    }
+
+    client.publish(deviceTopic(deviceId, suffix), JSON.stringify(event), {
+      qos: 1,
+      retain: suffix === 'status'
+    });
+  });
+}
+
+// Mark the server offline and disconnect
+async function stop() {
+  if (!client) return;
+
+  if (unsubscribe) unsubscribe();
+  if (client.connected) {
+    await client.publishAsync(`${TOPIC_PREFIX}/server/status`, 'offline', { qos: 1, retain: true }).catch(() => {});
+  }
+  // Messages queued while the broker is unreachable would hold a graceful end forever
+  await client.endAsync(!client.connected);
+  client = null;
+  unsubscribe = null;
+}
+
+module.exports = {
+  COMMANDS,
+  TOPIC_PREFIX,
+  isEnabled,
+  isConnected,
+  parseCommand,
+  start,
+  stop
+};
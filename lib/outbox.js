@@ -0,0 +1,146 @@
+// Ordered command queue per device, saved to DATA_DIR/outbox.json
+//
+// Devices without a live WebSocket pick up their commands (ALARM, OFF, MQTT
+// commands, ...) over HTTP. Every queued command gets the next sequence number
+// of its device and stays queued until the device acknowledges it, so a lost
+// response only means it is delivered again. A device passes the last sequence
+// number it has seen as its cursor to get only newer commands, and can hold the
+// request open until one arrives (long-polling). A cursor ahead of the queue,
+// e.g. after the data was wiped, starts over from the oldest queued command.
+const { readJsonById, writeJson } = require('./storage');
+
+const OUTBOX_FILE = 'outbox.json';
+const OUTBOX_MAX_COMMANDS = parseInt(process.env.OUTBOX_MAX_COMMANDS || '100', 10);
+const LONG_POLL_MAX_SECONDS = parseFloat(process.env.LONG_POLL_MAX_SECONDS || '30');
+
+// Device ID → { nextSeq, commands: [{ seq, queuedAt, ...message }] }
+const queues = readJsonById(OUTBOX_FILE);
+// Device ID → Set of long-poll waiters { cursor, respond }
+const waiters = new Map();
+
+function save() {
+  writeJson(OUTBOX_FILE, queues);
+}
+
+function getQueue(deviceId) {
+  if (!queues[deviceId]) {
+    queues[deviceId] = { nextSeq: 1, commands: [] };
+  }
+  return queues[deviceId];
+}
+
+// Commands after a cursor, and the cursor that was applied
+function after(deviceId, cursor) {
+  const queue = queues[deviceId];
+  if (!queue) return { commands: [], cursor: 0 };
+  const effective = cursor >= queue.nextSeq ? 0 : cursor;
+  return { commands: queue.commands.filter(c => c.seq > effective), cursor: effective };
+}
+
+// Hand new commands to the device's waiting long-polls
+function wake(deviceId) {
+  const pending = waiters.get(deviceId);
+  if (!pending) return;
+  for (const waiter of [...pending]) {
+    const { commands } = after(deviceId, waiter.cursor);
+    if (commands.length > 0) waiter.respond(commands);
+  }
+}
+
+// Queue a message for a device; returns the queued command with its seq
+function enqueue(deviceId, message) {
+  const queue = getQueue(deviceId);
+  const command = { seq: queue.nextSeq++, queuedAt: new Date().toISOString(), ...message };
+  queue.commands.push(command);
+  if (queue.commands.length > OUTBOX_MAX_COMMANDS) {
+    const dropped = queue.commands.shift();
+    console.warn(`⚠️ [${deviceId}] Outbox full, dropped ${dropped.command || dropped.type} (seq ${dropped.seq})`);
+  }
+  save();
+  wake(deviceId);
+  return command;
+}
+
+// Queued commands after a cursor (0 for all): { commands, cursor, pending }
+function list(deviceId, cursor = 0) {
+  const result = after(deviceId, cursor);
+  const last = result.commands.length > 0 ? result.commands[result.commands.length - 1].seq : result.cursor;
+  return { commands: result.commands, cursor: last, pending: pendingCount(deviceId) };
+}
+
+function pendingCount(deviceId) {
+  return queues[deviceId] ? queues[deviceId].commands.length : 0;
+}
+
+// Drop every command up to and including a cursor; returns how many were dropped
+function ack(deviceId, cursor) {
+  const queue = queues[deviceId];
+  if (!queue) return 0;
+  const before = queue.commands.length;
+  queue.commands = queue.commands.filter(c => c.seq > cursor);
+  const acked = before - queue.commands.length;
+  if (acked > 0) save();
+  return acked;
+}
+
+// Drop the queued commands a predicate matches, e.g. the ALARM of a resolved alarm
+function remove(deviceId, predicate) {
+  const queue = queues[deviceId];
+  if (!queue) return 0;
+  const before = queue.commands.length;
+  queue.commands = queue.commands.filter(c => !predicate(c));
+  const removed = before - queue.commands.length;
+  if (removed > 0) save();
+  return removed;
+}
+
+// Call respond(commands) once, as soon as there are commands after the cursor
+// or with [] after timeoutMs; returns a function that stops waiting
+function waitForCommands(deviceId, cursor, timeoutMs, respond) {
+  let done = false;
+  const waiter = { cursor };
+  const stop = () => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    const pending = waiters.get(deviceId);
+    pending.delete(waiter);
+    if (pending.size === 0) waiters.delete(deviceId);
+  };
+  waiter.respond = (commands) => {
+    if (done) return;
+    stop();
+    respond(commands);
+  };
+  const timer = setTimeout(() => waiter.respond([]), timeoutMs);
+
+  if (!waiters.has(deviceId)) waiters.set(deviceId, new Set());
+  waiters.get(deviceId).add(waiter);
+  return stop;
+}
+
+// Answer every waiting long-poll with no commands so the HTTP server can close
+function releaseWaiters() {
+  for (const pending of [...waiters.values()]) {
+    for (const waiter of [...pending]) waiter.respond([]);
+  }
+}
+
+function forgetDevice(deviceId) {
+  for (const waiter of [...(waiters.get(deviceId) || [])]) waiter.respond([]);
+  if (!queues[deviceId]) return;
+  delete queues[deviceId];
+  save();
+}
+
+module.exports = {
+  LONG_POLL_MAX_SECONDS,
+  enqueue,
+  list,
+  pendingCount,
+  ack,
+  remove,
+  waitForCommands,
+  releaseWaiters,
+  forgetDevice
+};
@@ -0,0 +1,150 @@
+// Early alarms: a provisional PRE_ALARM from an interim transcript
+//
+// With EARLY_ALARM=true, live streams ask their provider for interim results
+// (onPartial in providers/index.js). When a trigger word shows up in one, the
+// device gets PRE_ALARM straight away instead of waiting for endpointing to
+// finalize the utterance. The next final transcript then confirms it (ALARM
+// with the same preAlarmId) or cancels it (CANCEL_PRE_ALARM). Only a final
+// with at least half of the interim transcript's words cancels it: one without
+// them belongs to an earlier utterance that was finalized late. A pre-alarm
+// that sees no final within EARLY_ALARM_TIMEOUT_MS is cancelled as well. A device has at
+// most one pending pre-alarm. How much sooner a confirmed alarm reached the
+// device is recorded on its event as earlyWarningMs and summed per device here.
+const crypto = require('crypto');
+
+const EARLY_ALARM = (process.env.EARLY_ALARM || 'false').toLowerCase() === 'true';
+const EARLY_ALARM_TIMEOUT_MS = parseInt(process.env.EARLY_ALARM_TIMEOUT_MS || '5000', 10);
+// Share of the interim transcript's words a final needs to settle its pre-alarm
+const MIN_COVERAGE = 0.5;
+
+// Device ID → pending pre-alarm and its expiry timer
+const pending = new Map();
+// Device ID → counters since the server started
+const stats = new Map();
+
+function getStats(deviceId) {
+  if (!stats.has(deviceId)) {
+    stats.set(deviceId, {
+      deviceId,
+      issued: 0,
+      confirmed: 0,
+      cancelled: 0,
+      expired: 0,
+      totalEarlyWarningMs: 0
+    });
+  }
+  return stats.get(deviceId);
+}
+
+// Counters with the average time saved per confirmed alarm
+function describe(entry) {
+  return {
+    ...entry,
+    averageEarlyWarningMs: entry.confirmed > 0 ? Math.round(entry.totalEarlyWarningMs / entry.confirmed) : null
+  };
+}
+
+function config() {
+  return {
+    enabled: EARLY_ALARM,
+    timeoutMs: EARLY_ALARM_TIMEOUT_MS
+  };
+}
+
+function listStats() {
+  return [...stats.values()].map(describe);
+}
+
+function getPending(deviceId) {
+  const entry = pending.get(deviceId);
+  return entry ? entry.preAlarm : null;
+}
+
+function take(deviceId) {
+  const entry = pending.get(deviceId);
+  if (!entry) return null;
+  clearTimeout(entry.timer);
+  pending.delete(deviceId);
+  return entry.preAlarm;
+}
+
+// Open a pre-alarm for a device; onExpire(preAlarm) is called if no final
+// transcript settles it in time. Returns null if one is already pending.
+function start(deviceId, { transcript, triggeredWords, provider }, onExpire) {
+  if (pending.has(deviceId)) return null;
+
+  const preAlarm = {
+    id: crypto.randomUUID(),
+    deviceId,
+    transcript,
+    triggeredWords,
+    provider,
+    sentAt: Date.now()
+  };
+  const timer = setTimeout(() => {
+    if (!take(deviceId)) return;
+    getStats(deviceId).expired++;
+    onExpire(preAlarm);
+  }, EARLY_ALARM_TIMEOUT_MS);
+  timer.unref();
+
+  pending.set(deviceId, { preAlarm, timer });
+  getStats(deviceId).issued++;
+  return preAlarm;
+}
+
+// A final transcript raised the alarm; returns { preAlarm, earlyWarningMs }, or null if none was pending
+function confirm(deviceId) {
+  const preAlarm = take(deviceId);
+  if (!preAlarm) return null;
+
+  const earlyWarningMs = Date.now() - preAlarm.sentAt;
+  const entry = getStats(deviceId);
+  entry.confirmed++;
+  entry.totalEarlyWarningMs += earlyWarningMs;
+  return { preAlarm, earlyWarningMs };
+}
+
+function words(text) {
+  return text.toLowerCase().match(/[a-z0-9']+/g) || [];
+}
+
+// Whether a final transcript is about the same utterance as a pre-alarm's interim one
+function covers(preAlarm, finalTranscript) {
+  const partial = words(preAlarm.transcript);
+  const final = new Set(words(finalTranscript));
+  return partial.filter(word => final.has(word)).length >= partial.length * MIN_COVERAGE;
+}
+
+// A final transcript did not raise the alarm; returns the cancelled pre-alarm,
+// or null if none was pending or the final is about other words
+function cancel(deviceId, finalTranscript) {
+  const entry = pending.get(deviceId);
+  if (!entry || !covers(entry.preAlarm, finalTranscript)) return null;
+
+  const preAlarm = take(deviceId);
+  getStats(deviceId).cancelled++;
+  return preAlarm;
+}
+
+// Drop a pending pre-alarm without counting it, e.g. when the device disconnects
+function clear(deviceId) {
+  take(deviceId);
+}
+
+function forgetDevice(deviceId) {
+  clear(deviceId);
+  stats.delete(deviceId);
+}
+
+module.exports = {
+  EARLY_ALARM,
+  config,
+  listStats,
+  getPending,
+  start,
+  confirm,
+  cancel,
+  clear,
+  forgetDevice
+};
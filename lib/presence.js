@@ -0,0 +1,196 @@
+// Device presence: heartbeats, last-seen times and offline/silence alerts
+//
+// Streaming devices are pinged every HEARTBEAT_INTERVAL_SECONDS and dropped if
+// they miss a pong. Each device keeps lastSeen (any message or pong),
+// lastAudioAt (any audio) and lastSoundAt (audio louder than PRESENCE_SILENCE_RMS).
+// A device.alert event is published when a streaming device stays offline for
+// PRESENCE_OFFLINE_ALERT_SECONDS or sends only silence for
+// PRESENCE_SILENCE_ALERT_SECONDS (0 disables either), and device.recovered when
+// it comes back. Presence is saved to DATA_DIR/presence.json on every change of state.
+const { readJsonById, writeJson } = require('./storage');
+const { publish } = require('./bus');
+const events = require('./events');
+
+const PRESENCE_FILE = 'presence.json';
+const HEARTBEAT_INTERVAL_MS = parseFloat(process.env.HEARTBEAT_INTERVAL_SECONDS || '15') * 1000;
+const OFFLINE_ALERT_MS = parseFloat(process.env.PRESENCE_OFFLINE_ALERT_SECONDS || '60') * 1000;
+const SILENCE_ALERT_MS = parseFloat(process.env.PRESENCE_SILENCE_ALERT_SECONDS || '300') * 1000;
+const SILENCE_RMS = parseFloat(process.env.PRESENCE_SILENCE_RMS || '100'); // of 32767 (16-bit PCM)
+const CHECK_INTERVAL_MS = 5000;
+
+// Device ID → presence record; the live WebSocket is kept apart so it is never saved
+const presence = readJsonById(PRESENCE_FILE);
+const sockets = new Map();
+
+// Devices that were online when the server stopped are offline now
+for (const record of Object.values(presence)) {
+  if (record.online) {
+    record.online = false;
+    record.offlineSince = new Date().toISOString();
+  }
+}
+
+function save() {
+  try {
+    writeJson(PRESENCE_FILE, presence);
+  } catch (error) {
+    console.error('❌ Could not persist presence:', error.message);
+  }
+}
+
+function getRecord(deviceId) {
+  if (!presence[deviceId]) {
+    presence[deviceId] = {
+      deviceId,
+      online: false,
+      transport: null,
+      connectedAt: null,
+      offlineSince: null,
+      lastSeen: null,
+      lastAudioAt: null,
+      lastSoundAt: null,
+      firmware: null,
+      session: null,
+      alerts: []
+    };
+  }
+  return presence[deviceId];
+}
+
+function raiseAlert(record, kind, since, thresholdMs) {
+  if (record.alerts.includes(kind)) return;
+  record.alerts.push(kind);
+  save();
+  console.warn(`🚨 [${record.deviceId}] Device ${kind === 'offline' ? 'offline' : 'silent'} since ${since}`);
+  events.recordEvent({ type: 'device.alert', deviceId: record.deviceId, kind, since });
+  publish('device.alert', { deviceId: record.deviceId, kind, since, thresholdSeconds: thresholdMs / 1000 });
+}
+
+function clearAlert(record, kind) {
+  if (!record.alerts.includes(kind)) return;
+  record.alerts = record.alerts.filter(a => a !== kind);
+  save();
+  console.log(`✓ [${record.deviceId}] Device recovered (${kind})`);
+  events.recordEvent({ type: 'device.recovered', deviceId: record.deviceId, kind });
+  publish('device.recovered', { deviceId: record.deviceId, kind });
+}
+
+// A device opened its audio WebSocket
+function connected(deviceId, ws) {
+  const now = new Date().toISOString();
+  const record = getRecord(deviceId);
+  record.online = true;
+  record.transport = 'websocket';
+  record.connectedAt = now;
+  record.offlineSince = null;
+  record.lastSeen = now;
+  // Give a fresh connection the full silence window before alerting
+  record.lastSoundAt = now;
+  clearAlert(record, 'offline');
+  save();
+
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+    record.lastSeen = new Date().toISOString();
+  });
+  sockets.set(deviceId, ws);
+}
+
+// A device's WebSocket closed; ignored if a newer connection replaced it
+function disconnected(deviceId, ws) {
+  if (sockets.get(deviceId) !== ws) return;
+  sockets.delete(deviceId);
+
+  const record = presence[deviceId];
+  if (!record) return; // deleted while connected
+  record.online = false;
+  record.offlineSince = new Date().toISOString();
+  clearAlert(record, 'silent');
+  save();
+}
+
+// A streaming device's session was agreed (see lib/session.js)
+function sessionStarted(deviceId, session) {
+  const record = getRecord(deviceId);
+  record.session = session;
+  if (session.firmware) record.firmware = session.firmware;
+  save();
+}
+
+// Any message from a device
+function seen(deviceId) {
+  getRecord(deviceId).lastSeen = new Date().toISOString();
+}
+
+// Audio from a device, over the WebSocket or /api/process-audio; level is its
+// RMS on the 16-bit scale, or null when it was not measured
+function audioReceived(deviceId, level, transport) {
+  const now = new Date().toISOString();
+  const record = getRecord(deviceId);
+  record.lastSeen = now;
+  record.lastAudioAt = now;
+  if (transport === 'http' && record.transport !== 'websocket') {
+    record.transport = 'http';
+  }
+
+  if (level !== null && level >= SILENCE_RMS) {
+    record.lastSoundAt = now;
+    clearAlert(record, 'silent');
+  }
+}
+
+function listPresence() {
+  return Object.values(presence);
+}
+
+function getPresence(deviceId) {
+  return presence[deviceId] || null;
+}
+
+function forgetDevice(deviceId) {
+  if (!presence[deviceId]) return;
+  delete presence[deviceId];
+  save();
+}
+
+// Ping every streaming device and drop the ones that missed the last ping
+setInterval(() => {
+  for (const [deviceId, ws] of sockets) {
+    if (!ws.isAlive) {
+      console.warn(`💔 [${deviceId}] Missed heartbeat, closing connection`);
+      ws.terminate();
+      continue;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  }
+}, HEARTBEAT_INTERVAL_MS).unref();
+
+// Raise offline and silence alerts once their threshold has passed
+setInterval(() => {
+  const now = Date.now();
+  for (const record of Object.values(presence)) {
+    if (record.transport !== 'websocket') continue;
+
+    if (OFFLINE_ALERT_MS > 0 && !record.online && record.offlineSince &&
+        now - Date.parse(record.offlineSince) >= OFFLINE_ALERT_MS) {
+      raiseAlert(record, 'offline', record.offlineSince, OFFLINE_ALERT_MS);
+    }
+    if (SILENCE_ALERT_MS > 0 && record.online && record.lastSoundAt &&
+        now - Date.parse(record.lastSoundAt) >= SILENCE_ALERT_MS) {
+      raiseAlert(record, 'silent', record.lastSoundAt, SILENCE_ALERT_MS);
+    }
+  }
+}, CHECK_INTERVAL_MS).unref();
+
+module.exports = {
+  connected,
+  disconnected,
+  sessionStarted,
+  seen,
+  audioReceived,
+  listPresence,
+  getPresence,
+  forgetDevice
+};
@@ -0,0 +1,151 @@
+// Trigger-word profiles, persisted to DATA_DIR/profiles.json
+//
+// A profile is { id, name, words, rules, suppression } where words, rules and
+// suppression use the formats accepted by triggers.js, rules.js and
+// suppression.js. Devices are assigned to a
+// profile by ID; unassigned devices use the "default" profile, which is
+// seeded from TRIGGER_WORDS / TRIGGER_RULES the first time the server runs.
+const { readJson, writeJson } = require('./storage');
+const { normalizeTrigger, parseTriggerWords } = require('./triggers');
+const { normalizeRule, parseRules } = require('./rules');
+const { defaultSuppression, normalizeSuppression } = require('./suppression');
+
+const PROFILES_FILE = 'profiles.json';
+const DEFAULT_PROFILE_ID = 'default';
+
+const state = readJson(PROFILES_FILE, null) || {
+  profiles: {
+    [DEFAULT_PROFILE_ID]: {
+      id: DEFAULT_PROFILE_ID,
+      name: 'Default',
+      words: parseTriggerWords(process.env.TRIGGER_WORDS || 'alarm,too long ,help,fire'),
+      rules: parseRules(process.env.TRIGGER_RULES || ''), // ';'-separated, see rules.js
+      suppression: defaultSuppression()
+    }
+  },
+  devices: {}
+};
+
+// Keyed by ID without a prototype, so an ID such as "constructor" is never found by accident
+state.profiles = Object.assign(Object.create(null), state.profiles);
+state.devices = Object.assign(Object.create(null), state.devices);
+
+// Profiles saved before suppression settings existed get the defaults
+for (const profile of Object.values(state.profiles)) {
+  if (!profile.suppression) profile.suppression = defaultSuppression();
+}
+
+function save() {
+  writeJson(PROFILES_FILE, state);
+}
+
+// Validate profile fields, throwing on bad input; missing fields keep their current value
+function normalizeProfile(data, existing = {}) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Profile body must be an object');
+  }
+  if (data.words !== undefined && !Array.isArray(data.words)) {
+    throw new Error('"words" must be an array');
+  }
+  if (data.rules !== undefined && !Array.isArray(data.rules)) {
+    throw new Error('"rules" must be an array');
+  }
+  if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim().length === 0)) {
+    throw new Error('"name" must be a non-empty string');
+  }
+
+  return {
+    name: data.name !== undefined ? data.name.trim() : existing.name,
+    words: data.words !== undefined ? data.words.map(normalizeTrigger) : existing.words || [],
+    rules: data.rules !== undefined ? data.rules.map(normalizeRule) : existing.rules || [],
+    suppression: normalizeSuppression(data.suppression, existing.suppression)
+  };
+}
+
+function listProfiles() {
+  return Object.values(state.profiles);
+}
+
+function getProfile(profileId) {
+  return state.profiles[profileId] || null;
+}
+
+// Create a profile; returns null if the ID is taken, throws on invalid input
+function createProfile(data) {
+  const id = String(data && (data.id || data.name) || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+  if (id.length === 0) {
+    throw new Error('Profile needs an "id" or "name"');
+  }
+  if (state.profiles[id]) return null;
+
+  const profile = { id, ...normalizeProfile({ name: id, ...data }) };
+  state.profiles[id] = profile;
+  save();
+  return profile;
+}
+
+// Update a profile; returns null if it does not exist
+function updateProfile(profileId, data) {
+  const existing = state.profiles[profileId];
+  if (!existing) return null;
+
+  const profile = { id: profileId, ...normalizeProfile(data, existing) };
+  state.profiles[profileId] = profile;
+  save();
+  return profile;
+}
+
+// Delete a profile and move its devices back to the default; returns false if it does not exist
+function deleteProfile(profileId) {
+  if (profileId === DEFAULT_PROFILE_ID) {
+    throw new Error('The default profile cannot be deleted');
+  }
+  if (!state.profiles[profileId]) return false;
+
+  delete state.profiles[profileId];
+  for (const [deviceId, assigned] of Object.entries(state.devices)) {
+    if (assigned === profileId) delete state.devices[deviceId];
+  }
+  save();
+  return true;
+}
+
+// Assign a device to a profile (or back to the default with null)
+function assignDevice(deviceId, profileId) {
+  if (profileId && !state.profiles[profileId]) {
+    throw new Error(`Unknown profile "${profileId}"`);
+  }
+
+  if (!profileId || profileId === DEFAULT_PROFILE_ID) {
+    delete state.devices[deviceId];
+  } else {
+    state.devices[deviceId] = profileId;
+  }
+  save();
+}
+
+function getDeviceProfileId(deviceId) {
+  return (deviceId && state.devices[deviceId]) || DEFAULT_PROFILE_ID;
+}
+
+// Profile used for detection on a device
+function getProfileForDevice(deviceId) {
+  return state.profiles[getDeviceProfileId(deviceId)] || state.profiles[DEFAULT_PROFILE_ID];
+}
+
+function listAssignments() {
+  return { ...state.devices };
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  assignDevice,
+  getDeviceProfileId,
+  getProfileForDevice,
+  listAssignments
+};
@@ -0,0 +1,415 @@
+// Trigger rule language
+//
+//   help AND NOT (joking OR kidding)
+//   fire WITHIN 3 OF (building OR house)
+//   "too long" OR /\bsos\b/
+//
+// Grammar (keywords are upper case, everything else is a term):
+//   expr    := and ('OR' and)*
+//   and     := unary ('AND' unary)*
+//   unary   := 'NOT' unary | near
+//   near    := primary ('WITHIN' number 'OF' primary)?
+//   primary := '(' expr ')' | word | "quoted phrase" | /regex/flags
+//
+// Words and phrases match whole words, ignoring case and punctuation.
+// Regexes are tested against the raw transcript, always case-insensitive, and
+// must not match an empty string or nest unbounded quantifiers such as
+// (a+)+, which can backtrack for exponential time on the event loop. A rule must require at least one word,
+// phrase or regex to appear: "NOT joking" on its own would match everything.
+// "a WITHIN n OF b" holds when some match of a and some match of b are at
+// most n words apart (adjacent words are 1 apart).
+//
+// A rule that fails only because of a NOT also vetoes the trigger words it
+// requires: with "help" in the profile's words, "help AND NOT (joking OR
+// kidding)" keeps "help me, just kidding" from alarming through the word.
+const KEYWORDS = ['AND', 'OR', 'NOT', 'WITHIN', 'OF'];
+
+// Parsed rule trees, keyed by rule object so they go away with edited or deleted rules
+const compiled = new WeakMap();
+
+// Split an expression into tokens, throwing on anything unrecognised
+function lex(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const ch = expression[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, at: i });
+      i++;
+    } else if (ch === '"') {
+      const end = expression.indexOf('"', i + 1);
+      if (end === -1) throw new Error(`Unclosed quote at position ${i}`);
+      tokens.push({ type: 'phrase', value: expression.slice(i + 1, end), at: i });
+      i = end + 1;
+    } else if (ch === '/') {
+      let end = i + 1;
+      while (end < expression.length && expression[end] !== '/') {
+        end += expression[end] === '\\' ? 2 : 1;
+      }
+      if (end >= expression.length) throw new Error(`Unclosed regex at position ${i}`);
+      const flags = /^[a-z]*/.exec(expression.slice(end + 1))[0];
+      tokens.push({ type: 'regex', source: expression.slice(i + 1, end), flags, at: i });
+      i = end + 1 + flags.length;
+    } else {
+      const word = /^[^\s()"/]+/.exec(expression.slice(i))[0];
+      if (KEYWORDS.includes(word)) {
+        tokens.push({ type: word, at: i });
+      } else if (/^\d+$/.test(word)) {
+        tokens.push({ type: 'number', value: parseInt(word, 10), at: i });
+      } else {
+        tokens.push({ type: 'word', value: word, at: i });
+      }
+      i += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+// Parse an expression into a tree, throwing an Error that names the problem
+function parseRule(expression) {
+  if (typeof expression !== 'string' || expression.trim().length === 0) {
+    throw new Error('Rule expression must be a non-empty string');
+  }
+
+  const tokens = lex(expression);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const describe = (token) => (token ? `"${token.value || token.source || token.type}" at position ${token.at}` : 'end of rule');
+  const expect = (type) => {
+    const token = tokens[pos];
+    if (!token || token.type !== type) {
+      throw new Error(`Expected ${type} but found ${describe(token)}`);
+    }
+    pos++;
+    return token;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (peek() && peek().type === 'AND') {
+      pos++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === 'NOT') {
+      pos++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parseNear();
+  }
+
+  function parseNear() {
+    const left = parsePrimary();
+    if (peek() && peek().type === 'WITHIN') {
+      pos++;
+      const distance = expect('number').value;
+      expect('OF');
+      const right = parsePrimary();
+      if (!isPositional(left) || !isPositional(right)) {
+        throw new Error('WITHIN only works between words, phrases, regexes or OR-groups of them');
+      }
+      return { type: 'near', distance, left, right };
+    }
+    return left;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of rule');
+    }
+    pos++;
+
+    if (token.type === '(') {
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    if (token.type === 'word' || token.type === 'number' || token.type === 'phrase') {
+      const words = tokenize(String(token.value)).map(t => t.word);
+      if (words.length === 0) throw new Error(`Term at position ${token.at} has no letters or digits`);
+      return { type: 'term', words };
+    }
+    if (token.type === 'regex') {
+      let regex;
+      try {
+        const flags = token.flags.replace(/[gyi]/g, '');
+        regex = new RegExp(token.source, flags + 'gi');
+      } catch (error) {
+        throw new Error(`Invalid regex at position ${token.at}: ${error.message}`);
+      }
+      if (new RegExp(regex.source, regex.flags.replace('g', '')).test('')) {
+        throw new Error(`Regex at position ${token.at} matches an empty string, so it would match every transcript`);
+      }
+      if (hasNestedQuantifier(token.source)) {
+        throw new Error(`Regex at position ${token.at} repeats a group that already repeats, like (a+)+; it can take exponential time`);
+      }
+      return { type: 'regex', regex };
+    }
+    throw new Error(`Unexpected ${describe(token)}`);
+  }
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected ${describe(tokens[pos])}; join terms with AND/OR or quote a phrase`);
+  }
+  if (!requiresTerm(tree)) {
+    throw new Error('Needs a word, phrase or regex that must appear; NOT on its own matches every transcript');
+  }
+  return tree;
+}
+
+// Whether a regex source repeats a group (*, + or {n,}) that itself contains
+// an unbounded repetition
+function hasNestedQuantifier(source) {
+  const repeats = (at) => source[at] === '*' || source[at] === '+' || /^\{\d+,/.test(source.slice(at));
+  const groups = []; // whether each open group contains a repetition
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = ch !== ']';
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      groups.push(false);
+    } else if (ch === ')') {
+      const inner = groups.pop();
+      if (inner && repeats(i + 1)) return true;
+      if (inner && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (repeats(i) && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Whether a node can only hold when some word, phrase or regex matches
+function requiresTerm(node) {
+  switch (node.type) {
+    case 'term':
+    case 'regex':
+    case 'near':
+      return true;
+    case 'and':
+      return requiresTerm(node.left) || requiresTerm(node.right);
+    case 'or':
+      return requiresTerm(node.left) && requiresTerm(node.right);
+    default:
+      return false;
+  }
+}
+
+// Terms and OR-groups of terms produce word positions, so they can be used with WITHIN
+function isPositional(node) {
+  if (node.type === 'term' || node.type === 'regex') return true;
+  if (node.type === 'or') return isPositional(node.left) && isPositional(node.right);
+  return false;
+}
+
+// Lowercased words with their character offsets
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[a-z0-9']+/g;
+  let match;
+  while ((match = pattern.exec(text.toLowerCase())) !== null) {
+    tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Evaluate a node; returns the matched spans [{ start, end, text }] (word
+// indexes), or null when it does not hold. A NOT returns true or false, and an
+// AND/OR of NOTs alone returns true, as they hold without matching any words.
+// With ignoreNot, every NOT holds.
+function evaluate(node, transcript, words, ignoreNot = false) {
+  switch (node.type) {
+    case 'term': {
+      const spans = [];
+      for (let i = 0; i + node.words.length <= words.length; i++) {
+        if (node.words.every((w, j) => words[i + j].word === w)) {
+          spans.push({ start: i, end: i + node.words.length - 1, text: node.words.join(' ') });
+        }
+      }
+      return spans.length > 0 ? spans : null;
+    }
+    case 'regex': {
+      const spans = [];
+      for (const match of transcript.matchAll(node.regex)) {
+        if (match[0].length === 0) continue;
+        const from = match.index;
+        const to = from + Math.max(match[0].length, 1) - 1;
+        // Map character offsets to the words the match touches
+        let start = words.findIndex(w => w.end > from);
+        if (start === -1) start = Math.max(words.length - 1, 0);
+        let end = words.findIndex(w => w.start > to) - 1;
+        if (end < -1) end = words.length - 1;
+        spans.push({ start, end: Math.max(end, start), text: match[0] });
+      }
+      return spans.length > 0 ? spans : null;
+    }
+    case 'or': {
+      const left = evaluate(node.left, transcript, words, ignoreNot);
+      const right = evaluate(node.right, transcript, words, ignoreNot);
+      if (!left && !right) return null;
+      return combine(left, right);
+    }
+    case 'and': {
+      const left = evaluate(node.left, transcript, words, ignoreNot);
+      if (!left) return null;
+      const right = evaluate(node.right, transcript, words, ignoreNot);
+      if (!right) return null;
+      return combine(left, right);
+    }
+    case 'not':
+      return ignoreNot || !evaluate(node.operand, transcript, words);
+    case 'near': {
+      const left = evaluate(node.left, transcript, words, ignoreNot) || [];
+      const right = evaluate(node.right, transcript, words, ignoreNot) || [];
+      const spans = [];
+      for (const a of left) {
+        for (const b of right) {
+          const gap = a.end < b.start ? b.start - a.end : a.start > b.end ? a.start - b.end : 0;
+          if (gap <= node.distance) {
+            spans.push(a, b);
+          }
+        }
+      }
+      return spans.length > 0 ? spans : null;
+    }
+    default:
+      throw new Error(`Unknown rule node: ${node.type}`);
+  }
+}
+
+// Spans of two nodes that hold; true when neither matched any words
+function combine(left, right) {
+  const spans = [...(Array.isArray(left) ? left : []), ...(Array.isArray(right) ? right : [])];
+  return spans.length > 0 || Array.isArray(left) || Array.isArray(right) ? spans : true;
+}
+
+// Tree of a saved rule, or null for one that no longer parses (e.g. saved
+// before a check was added), which is skipped
+function compileRule(rule) {
+  if (!compiled.has(rule)) {
+    let tree = null;
+    try {
+      tree = parseRule(rule.expression);
+    } catch (error) {
+      console.warn(`⚠️ Skipping trigger rule "${rule.expression}": ${error.message}`);
+    }
+    compiled.set(rule, tree);
+  }
+  return compiled.get(rule);
+}
+
+// Turn a string or { name, expression } into a validated rule, throwing on bad input
+function normalizeRule(entry) {
+  const rule = typeof entry === 'string' ? { expression: entry } : entry;
+
+  if (!rule || typeof rule.expression !== 'string') {
+    throw new Error('Each rule needs an "expression" string');
+  }
+
+  const expression = rule.expression.trim();
+  let tree;
+  try {
+    tree = parseRule(expression);
+  } catch (error) {
+    throw new Error(`Rule "${expression}": ${error.message}`);
+  }
+
+  const normalized = {
+    name: typeof rule.name === 'string' && rule.name.trim().length > 0 ? rule.name.trim() : expression,
+    expression
+  };
+  compiled.set(normalized, tree);
+  return normalized;
+}
+
+// Check a transcript against the rules; returns one entry per matching rule in
+// the same shape as trigger-word matches: { word, matchType, matchedToken, score, rule }
+function evaluateRules(transcript, rules) {
+  const words = tokenize(transcript);
+  const matches = [];
+
+  for (const rule of rules) {
+    const tree = compileRule(rule);
+    const spans = tree && evaluate(tree, transcript, words);
+    if (Array.isArray(spans) && spans.length > 0) {
+      const matchedTokens = [...new Set(spans.map(s => s.text))];
+      matches.push({
+        word: rule.name,
+        matchType: 'rule',
+        matchedToken: matchedTokens.join(', '),
+        score: 1,
+        rule: rule.expression
+      });
+    }
+  }
+
+  return matches;
+}
+
+// Words and phrases a node requires, outside any NOT, as lowercased space-joined words
+function requiredTerms(node, terms = []) {
+  if (node.type === 'term') {
+    terms.push(node.words.join(' '));
+  } else if (node.type === 'and' || node.type === 'or' || node.type === 'near') {
+    requiredTerms(node.left, terms);
+    requiredTerms(node.right, terms);
+  }
+  return terms;
+}
+
+// Words and phrases whose trigger-word matches are vetoed: those required by
+// a rule that would hold if not for one of its NOTs
+function vetoedTerms(transcript, rules) {
+  const words = tokenize(transcript);
+  const vetoed = new Set();
+
+  for (const rule of rules) {
+    const tree = compileRule(rule);
+    if (!tree || evaluate(tree, transcript, words) || !evaluate(tree, transcript, words, true)) continue;
+    for (const term of requiredTerms(tree)) vetoed.add(term);
+  }
+
+  return vetoed;
+}
+
+// Parse a ';'-separated list such as the TRIGGER_RULES env var
+function parseRules(list) {
+  return list
+    .split(';')
+    .filter(r => r.trim().length > 0)
+    .map(normalizeRule);
+}
+
+module.exports = {
+  parseRule,
+  normalizeRule,
+  parseRules,
+  evaluateRules,
+  vetoedTerms
+};
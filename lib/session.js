@@ -0,0 +1,111 @@
+// WebSocket session handshake: the device's `hello` and the session it gets
+//
+// A device may open its audio stream with a text message
+//   { "type": "hello", "protocol": 1, "sampleRate": 16000, "encoding": "linear16",
+//     "channels": 1, "language": "en", "firmware": "1.4.2" }
+// Every field but `type` and `protocol` is optional and defaults to the legacy
+// stream (16 kHz 16-bit mono PCM in SPEECH_LANGUAGE). The request is checked
+// against the protocol versions this server speaks and the formats the speech
+// provider accepts, natively or through lib/transcode.js; the result is either
+// the session config or a list of errors, one per field that cannot be
+// honored. Devices that send audio without a hello get the default session.
+const crypto = require('crypto');
+const { DEFAULT_FORMAT } = require('./audio');
+const { STREAM_ENCODINGS, STREAM_CHANNELS } = require('./transcode');
+
+const PROTOCOL_VERSIONS = [1];
+const SPEECH_LANGUAGE = process.env.SPEECH_LANGUAGE || 'en';
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+const MAX_FIRMWARE_LENGTH = 64;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+function fieldError(code, field, message, supported) {
+  const error = { code, field, message };
+  if (supported !== undefined) error.supported = supported;
+  return error;
+}
+
+// Primary subtag of a language code, e.g. "en" for "en-US"
+function baseLanguage(language) {
+  return language.split('-')[0].toLowerCase();
+}
+
+function buildSession(provider, fields) {
+  return {
+    sessionId: crypto.randomUUID(),
+    protocol: fields.protocol,
+    provider: provider.name,
+    encoding: fields.encoding,
+    sampleRate: fields.sampleRate,
+    channels: fields.channels,
+    language: fields.language,
+    firmware: fields.firmware
+  };
+}
+
+// Session for a device that started streaming without a hello
+function defaultSession(provider) {
+  return buildSession(provider, {
+    protocol: null,
+    ...DEFAULT_FORMAT,
+    language: SPEECH_LANGUAGE,
+    firmware: null
+  });
+}
+
+// Check a hello against the server and provider; returns { session } or { errors }
+function negotiateSession(hello, provider) {
+  const native = provider.streamFormats || { encodings: [], sampleRates: null, channels: [], languages: null };
+  // Any rate and any transcodable format is accepted; the provider only limits the language
+  const formats = {
+    encodings: [...new Set([...native.encodings, ...STREAM_ENCODINGS])],
+    channels: [...new Set([...native.channels, ...STREAM_CHANNELS])].sort(),
+    languages: native.languages
+  };
+  const errors = [];
+
+  const protocol = hello.protocol;
+  if (!PROTOCOL_VERSIONS.includes(protocol)) {
+    errors.push(fieldError('unsupported_protocol', 'protocol', `Protocol version ${JSON.stringify(protocol)} is not supported`, PROTOCOL_VERSIONS));
+  }
+
+  const encoding = hello.encoding === undefined ? DEFAULT_FORMAT.encoding : hello.encoding;
+  if (!formats.encodings.includes(encoding)) {
+    errors.push(fieldError('unsupported_encoding', 'encoding', `Encoding ${JSON.stringify(encoding)} is not supported by ${provider.name}`, formats.encodings));
+  }
+
+  const sampleRate = hello.sampleRate === undefined ? DEFAULT_FORMAT.sampleRate : hello.sampleRate;
+  if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+    errors.push(fieldError('unsupported_sample_rate', 'sampleRate', `"sampleRate" must be an integer from ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE}`, { min: MIN_SAMPLE_RATE, max: MAX_SAMPLE_RATE }));
+  }
+
+  const channels = hello.channels === undefined ? DEFAULT_FORMAT.channels : hello.channels;
+  if (!formats.channels.includes(channels)) {
+    errors.push(fieldError('unsupported_channels', 'channels', `${JSON.stringify(channels)} channel(s) not supported by ${provider.name}`, formats.channels));
+  }
+
+  const language = hello.language === undefined ? SPEECH_LANGUAGE : hello.language;
+  if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) {
+    errors.push(fieldError('invalid_field', 'language', '"language" must be a language code such as "en" or "en-US"'));
+  } else if (formats.languages && !formats.languages.includes(baseLanguage(language))) {
+    errors.push(fieldError('unsupported_language', 'language', `Language "${language}" is not supported by ${provider.name}`, formats.languages));
+  }
+
+  const firmware = hello.firmware === undefined ? null : hello.firmware;
+  if (firmware !== null && (typeof firmware !== 'string' || firmware.length === 0 || firmware.length > MAX_FIRMWARE_LENGTH)) {
+    errors.push(fieldError('invalid_field', 'firmware', `"firmware" must be a string of 1 to ${MAX_FIRMWARE_LENGTH} characters`));
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { session: buildSession(provider, { protocol, encoding, sampleRate, channels, language, firmware }) };
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  SPEECH_LANGUAGE,
+  defaultSession,
+  negotiateSession
+};
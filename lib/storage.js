@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory for persisted state (profiles, events, ...)
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+// Read a JSON file from the data directory, or return the fallback if it does not exist
+function readJson(fileName, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(dataPath(fileName), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Could not read ${dataPath(fileName)}: ${error.message}`);
+  }
+}
+
+// Read a JSON object keyed by ID (devices, policies, ...) without a prototype,
+// so an ID such as "constructor" or "__proto__" never finds a built-in property
+function readJsonById(fileName) {
+  return Object.assign(Object.create(null), readJson(fileName, {}));
+}
+
+// Write a JSON file atomically (temp file + rename) so a crash never leaves half a file
+function writeJson(fileName, data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const file = dataPath(fileName);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Append one record to a JSON Lines file in the data directory
+function appendJsonLine(fileName, record) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(dataPath(fileName), JSON.stringify(record) + '\n');
+}
+
+// Replace a JSON Lines file with the given records, atomically like writeJson
+function writeJsonLines(fileName, records) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const file = dataPath(fileName);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, records.map(record => JSON.stringify(record) + '\n').join(''));
+  fs.renameSync(tmp, file);
+}
+
+// Read every record from a JSON Lines file, skipping lines that do not parse
+function readJsonLines(fileName) {
+  let content;
+  try {
+    content = fs.readFileSync(dataPath(fileName), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Could not read ${dataPath(fileName)}: ${error.message}`);
+  }
+  
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (line.trim().length === 0) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`⚠️  Skipping corrupt line in ${fileName}`);
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  readJsonById,
+  writeJson,
+  appendJsonLine,
+  writeJsonLines,
+  readJsonLines
+};
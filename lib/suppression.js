@@ -0,0 +1,123 @@
+// False-positive suppression: confidence floor, cooldown and corroboration
+//
+// Each profile carries suppression settings { minConfidence, cooldownSeconds,
+// requiredHits, hitWindowSeconds }. A detection is suppressed when
+//   low_confidence - the transcript's confidence is below minConfidence
+//   cooldown       - the device raised an alarm less than cooldownSeconds ago
+//   corroboration  - fewer than requiredHits detections (this one included)
+//                    fell within the last hitWindowSeconds
+// checked in that order. Suppressed detections do not count towards the
+// cooldown; low-confidence ones and those in the cooldown do not count as
+// hits either. Cooldown and hits are tracked per device in memory, so
+// requests without a device ID only get the confidence floor.
+const DEFAULT_MIN_CONFIDENCE = parseFloat(process.env.TRIGGER_MIN_CONFIDENCE || '0');
+const DEFAULT_COOLDOWN_SECONDS = parseFloat(process.env.TRIGGER_COOLDOWN_SECONDS || '0');
+const DEFAULT_REQUIRED_HITS = parseInt(process.env.TRIGGER_REQUIRED_HITS || '1', 10);
+const DEFAULT_HIT_WINDOW_SECONDS = parseFloat(process.env.TRIGGER_HIT_WINDOW_SECONDS || '10');
+
+// Device ID → { lastAlarmAt, hits: [timestamps] }
+const devices = new Map();
+
+function defaultSuppression() {
+  return {
+    minConfidence: DEFAULT_MIN_CONFIDENCE,
+    cooldownSeconds: DEFAULT_COOLDOWN_SECONDS,
+    requiredHits: DEFAULT_REQUIRED_HITS,
+    hitWindowSeconds: DEFAULT_HIT_WINDOW_SECONDS
+  };
+}
+
+// Validate suppression settings, throwing on bad input; missing fields keep their current value
+function normalizeSuppression(data, existing = defaultSuppression()) {
+  if (data === undefined) return { ...existing };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('"suppression" must be an object');
+  }
+  const settings = { ...existing, ...data };
+
+  const minConfidence = Number(settings.minConfidence);
+  if (!(minConfidence >= 0 && minConfidence <= 1)) {
+    throw new Error('"suppression.minConfidence" must be between 0 and 1');
+  }
+  const cooldownSeconds = Number(settings.cooldownSeconds);
+  if (!(cooldownSeconds >= 0)) {
+    throw new Error('"suppression.cooldownSeconds" must be a number >= 0');
+  }
+  const requiredHits = Number(settings.requiredHits);
+  if (!Number.isInteger(requiredHits) || requiredHits < 1) {
+    throw new Error('"suppression.requiredHits" must be a whole number >= 1');
+  }
+  const hitWindowSeconds = Number(settings.hitWindowSeconds);
+  if (!(hitWindowSeconds > 0)) {
+    throw new Error('"suppression.hitWindowSeconds" must be a number > 0');
+  }
+
+  return { minConfidence, cooldownSeconds, requiredHits, hitWindowSeconds };
+}
+
+function getState(deviceId) {
+  if (!devices.has(deviceId)) {
+    devices.set(deviceId, { lastAlarmAt: null, hits: [] });
+  }
+  return devices.get(deviceId);
+}
+
+// Settings of a profile, with defaults for any that are missing
+function settingsFor(profile) {
+  return { ...defaultSuppression(), ...(profile.suppression || {}) };
+}
+
+// Whether a device is still in its cooldown, without recording anything
+function inCooldown(deviceId, profile, now = Date.now()) {
+  if (!deviceId || !devices.has(deviceId)) return false;
+  const { lastAlarmAt } = devices.get(deviceId);
+  return lastAlarmAt !== null && now - lastAlarmAt < settingsFor(profile).cooldownSeconds * 1000;
+}
+
+// Check a detection against the profile's settings and record it. Returns
+// null when it may raise an alarm, otherwise { reason, message }.
+function evaluate(deviceId, profile, { confidence }, now = Date.now()) {
+  const settings = settingsFor(profile);
+
+  if ((confidence || 0) < settings.minConfidence) {
+    return {
+      reason: 'low_confidence',
+      message: `Confidence ${(confidence || 0).toFixed(2)} is below ${settings.minConfidence}`
+    };
+  }
+  if (!deviceId) return null;
+
+  const state = getState(deviceId);
+  if (inCooldown(deviceId, profile, now)) {
+    const remaining = settings.cooldownSeconds - (now - state.lastAlarmAt) / 1000;
+    return {
+      reason: 'cooldown',
+      message: `Alarm raised ${((now - state.lastAlarmAt) / 1000).toFixed(1)}s ago, cooldown ends in ${remaining.toFixed(1)}s`
+    };
+  }
+
+  state.hits = state.hits.filter(at => now - at < settings.hitWindowSeconds * 1000);
+  state.hits.push(now);
+  if (state.hits.length < settings.requiredHits) {
+    return {
+      reason: 'corroboration',
+      message: `${state.hits.length} of ${settings.requiredHits} detections within ${settings.hitWindowSeconds}s`
+    };
+  }
+
+  state.lastAlarmAt = now;
+  state.hits = [];
+  return null;
+}
+
+function forgetDevice(deviceId) {
+  devices.delete(deviceId);
+}
+
+module.exports = {
+  defaultSuppression,
+  normalizeSuppression,
+  inCooldown,
+  evaluate,
+  forgetDevice
+};
@@ -0,0 +1,358 @@
+// Audio normalization: decode what clients send into the PCM a speech provider prefers
+//
+// /api/process-audio accepts WAV (8/16/24/32-bit integer, 32/64-bit float,
+// μ-law or A-law, any sample rate, mono or stereo), raw PCM described by
+// Content-Type parameters, μ-law/A-law, and Ogg/Opus. Uploads are decoded,
+// mixed down to mono and resampled to the provider's preferredFormat, then
+// handed over as 16-bit PCM WAV. WebM is passed through untouched for the cloud
+// providers to decode. Streams on /ws/audio are converted chunk by chunk when
+// the session format is not one the provider accepts natively.
+const { DEFAULT_FORMAT, createWavBuffer, parseWav } = require('./audio');
+
+// Encodings a streaming session may use; anything the provider does not take
+// natively is converted here
+const STREAM_ENCODINGS = ['linear16', 'mulaw', 'alaw', 'float32'];
+const STREAM_CHANNELS = [1, 2];
+
+// WAV format tags
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_FLOAT = 3;
+const WAVE_FORMAT_ALAW = 6;
+const WAVE_FORMAT_MULAW = 7;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+const OPUS_SAMPLE_RATE = 48000;
+// Sample rates and channel counts an upload may declare
+const MIN_SAMPLE_RATE = 1000;
+const MAX_SAMPLE_RATE = 192000;
+const MAX_CHANNELS = 8;
+
+const WAV_TYPES = ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'];
+const OGG_TYPES = ['audio/ogg', 'audio/opus', 'application/ogg'];
+const PASSTHROUGH_TYPES = ['audio/webm'];
+// Headerless types and the sample format they imply
+const RAW_TYPES = {
+  'audio/raw': { encoding: 'linear16', sampleRate: DEFAULT_FORMAT.sampleRate },
+  'audio/pcm': { encoding: 'linear16', sampleRate: DEFAULT_FORMAT.sampleRate },
+  'audio/l16': { encoding: 'linear16be', sampleRate: DEFAULT_FORMAT.sampleRate },
+  'audio/basic': { encoding: 'mulaw', sampleRate: 8000 },
+  'audio/pcmu': { encoding: 'mulaw', sampleRate: 8000 },
+  'audio/x-mulaw': { encoding: 'mulaw', sampleRate: 8000 },
+  'audio/pcma': { encoding: 'alaw', sampleRate: 8000 },
+  'audio/x-alaw': { encoding: 'alaw', sampleRate: 8000 }
+};
+// Sample width of each raw encoding
+const RAW_BYTES = { linear8: 1, linear16: 2, linear16be: 2, linear24: 3, linear32: 4, float32: 4, mulaw: 1, alaw: 1 };
+
+let OpusScript = null;
+
+// G.711 expansion tables, as 16-bit sample values
+const MULAW_TABLE = new Int16Array(256);
+const ALAW_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xFF;
+  const mulaw = ((((u & 0x0F) << 3) + 0x84) << ((u >> 4) & 0x07)) - 0x84;
+  MULAW_TABLE[i] = u & 0x80 ? -mulaw : mulaw;
+
+  const a = i ^ 0x55;
+  const exponent = (a >> 4) & 0x07;
+  const alaw = exponent === 0 ? ((a & 0x0F) << 4) + 8 : (((a & 0x0F) << 4) + 0x108) << (exponent - 1);
+  ALAW_TABLE[i] = a & 0x80 ? alaw : -alaw;
+}
+
+// Split "audio/raw; rate=8000; channels=2" into its type and parameters
+function parseContentType(contentType) {
+  const [type, ...params] = (contentType || '').split(';');
+  const parameters = {};
+  for (const param of params) {
+    const index = param.indexOf('=');
+    if (index > 0) {
+      parameters[param.slice(0, index).trim().toLowerCase()] = param.slice(index + 1).trim().replace(/^"|"$/g, '');
+    }
+  }
+  return { type: type.trim().toLowerCase(), parameters };
+}
+
+// Whether /api/process-audio should read a request body of this type
+function isSupportedType(contentType) {
+  const { type } = parseContentType(contentType);
+  return WAV_TYPES.includes(type) || OGG_TYPES.includes(type) || PASSTHROUGH_TYPES.includes(type) || Boolean(RAW_TYPES[type]);
+}
+
+// Reader for one sample of an encoding, returning a value in [-1, 1]
+function sampleReader(encoding) {
+  switch (encoding) {
+    case 'linear8': return (buf, o) => (buf[o] - 128) / 128; // 8-bit PCM is unsigned
+    case 'linear16': return (buf, o) => buf.readInt16LE(o) / 32768;
+    case 'linear16be': return (buf, o) => buf.readInt16BE(o) / 32768;
+    case 'linear24': return (buf, o) => buf.readIntLE(o, 3) / 8388608;
+    case 'linear32': return (buf, o) => buf.readInt32LE(o) / 2147483648;
+    case 'float32': return (buf, o) => buf.readFloatLE(o);
+    case 'float64': return (buf, o) => buf.readDoubleLE(o);
+    case 'mulaw': return (buf, o) => MULAW_TABLE[buf[o]] / 32768;
+    case 'alaw': return (buf, o) => ALAW_TABLE[buf[o]] / 32768;
+    default: throw new Error(`Unsupported sample encoding "${encoding}"`);
+  }
+}
+
+// Decode interleaved samples and mix them down to mono
+function decodeToMono(data, encoding, channels, bytesPerSample) {
+  const read = sampleReader(encoding);
+  const frameBytes = bytesPerSample * channels;
+  const frames = Math.floor(data.length / frameBytes);
+  const mono = new Float32Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read(data, frame * frameBytes + channel * bytesPerSample);
+    }
+    mono[frame] = sum / channels;
+  }
+  return mono;
+}
+
+// Reject sample rates and channel counts outside what an upload may declare;
+// a rate of 0 would otherwise stall the resampler
+function checkFormat(sampleRate, channels, source) {
+  if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+    throw new Error(`${source} sample rate must be ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE} Hz`);
+  }
+  if (!Number.isInteger(channels) || channels < 1 || channels > MAX_CHANNELS) {
+    throw new Error(`${source} must have 1 to ${MAX_CHANNELS} channels`);
+  }
+}
+
+// Sample encoding of a parsed WAV file
+function wavEncoding(wav) {
+  const format = wav.audioFormat === WAVE_FORMAT_EXTENSIBLE ? wav.subFormat : wav.audioFormat;
+  if (format === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(wav.bitsPerSample)) {
+    return `linear${wav.bitsPerSample}`;
+  }
+  if (format === WAVE_FORMAT_FLOAT && [32, 64].includes(wav.bitsPerSample)) {
+    return `float${wav.bitsPerSample}`;
+  }
+  if (format === WAVE_FORMAT_MULAW && wav.bitsPerSample === 8) return 'mulaw';
+  if (format === WAVE_FORMAT_ALAW && wav.bitsPerSample === 8) return 'alaw';
+  throw new Error(`Unsupported WAV format ${format} with ${wav.bitsPerSample}-bit samples`);
+}
+
+// Packets of the first logical stream in an Ogg file
+function readOggPackets(buffer) {
+  const packets = [];
+  let partial = [];
+  let serial = null;
+  let offset = 0;
+
+  while (offset + 27 <= buffer.length) {
+    if (buffer.toString('ascii', offset, offset + 4) !== 'OggS') {
+      throw new Error('Invalid Ogg page');
+    }
+    const pageSerial = buffer.readUInt32LE(offset + 14);
+    const segments = buffer[offset + 26];
+    let dataOffset = offset + 27 + segments;
+    if (serial === null) serial = pageSerial;
+
+    for (let i = 0; i < segments; i++) {
+      const size = buffer[offset + 27 + i];
+      if (pageSerial === serial) {
+        partial.push(buffer.subarray(dataOffset, dataOffset + size));
+        // A segment shorter than 255 bytes ends a packet
+        if (size < 255) {
+          packets.push(Buffer.concat(partial));
+          partial = [];
+        }
+      }
+      dataOffset += size;
+    }
+    offset = dataOffset;
+  }
+  return packets;
+}
+
+// Decode an Ogg/Opus file to mono samples at 48 kHz
+function decodeOggOpus(buffer) {
+  const packets = readOggPackets(buffer);
+  const head = packets[0];
+  if (!head || head.toString('ascii', 0, 8) !== 'OpusHead') {
+    throw new Error('Only Ogg files with an Opus stream are supported');
+  }
+  const channels = head[9];
+  const preSkip = head.readUInt16LE(10);
+  if (channels < 1 || channels > 2) {
+    throw new Error(`Ogg/Opus with ${channels} channels is not supported`);
+  }
+
+  if (!OpusScript) {
+    try {
+      OpusScript = require('opusscript');
+    } catch (error) {
+      throw new Error('The "opusscript" package is not installed. Run: npm install opusscript');
+    }
+  }
+  const decoder = new OpusScript(OPUS_SAMPLE_RATE, channels, OpusScript.Application.AUDIO);
+  const decoded = [];
+  try {
+    // packets[1] is OpusTags
+    for (const packet of packets.slice(2)) {
+      if (packet.length > 0) decoded.push(Buffer.from(decoder.decode(packet)));
+    }
+  } finally {
+    decoder.delete();
+  }
+
+  const pcm = Buffer.concat(decoded).subarray(preSkip * channels * 2);
+  return { samples: decodeToMono(pcm, 'linear16', channels, 2), sampleRate: OPUS_SAMPLE_RATE, description: `ogg/opus ${channels}ch` };
+}
+
+// Decode an upload to mono samples; returns { samples, sampleRate, description }
+function decodeAudio(buffer, contentType) {
+  const { type, parameters } = parseContentType(contentType);
+
+  if (WAV_TYPES.includes(type)) {
+    const wav = parseWav(buffer);
+    checkFormat(wav.sampleRate, wav.channels, 'WAV');
+    const encoding = wavEncoding(wav);
+    return {
+      samples: decodeToMono(wav.data, encoding, wav.channels, wav.bitsPerSample / 8),
+      sampleRate: wav.sampleRate,
+      description: `wav ${encoding} ${wav.sampleRate} Hz ${wav.channels}ch`
+    };
+  }
+
+  if (OGG_TYPES.includes(type)) {
+    return decodeOggOpus(buffer);
+  }
+
+  const raw = RAW_TYPES[type];
+  if (!raw) {
+    throw new Error(`Unsupported audio type "${type}"`);
+  }
+  const encoding = parameters.encoding || raw.encoding;
+  const sampleRate = parseInt(parameters.rate || raw.sampleRate, 10);
+  const channels = parseInt(parameters.channels || '1', 10);
+  if (!RAW_BYTES[encoding]) {
+    throw new Error(`Unsupported raw encoding "${encoding}"; use one of ${Object.keys(RAW_BYTES).join(', ')}`);
+  }
+  checkFormat(sampleRate, channels, 'Raw audio');
+  return {
+    samples: decodeToMono(buffer, encoding, channels, RAW_BYTES[encoding]),
+    sampleRate,
+    description: `${type} ${encoding} ${sampleRate} Hz ${channels}ch`
+  };
+}
+
+// Stateful resampler for a continuous signal fed in pieces. Downsampling
+// averages the input over each output period, which is enough of a low-pass
+// filter for speech; upsampling interpolates linearly.
+function createResampler(fromRate, toRate) {
+  for (const rate of [fromRate, toRate]) {
+    if (!Number.isFinite(rate) || rate <= 0) throw new Error(`Invalid sample rate ${rate}`);
+  }
+  if (fromRate === toRate) return (input) => input;
+
+  const step = fromRate / toRate;
+  let pending = new Float32Array(0);
+  let position = 0; // of the next output sample, in input samples from the start of pending
+
+  return (input) => {
+    const samples = new Float32Array(pending.length + input.length);
+    samples.set(pending);
+    samples.set(input, pending.length);
+
+    const output = [];
+    if (step > 1) {
+      while (Math.floor(position + step) <= samples.length) {
+        const start = Math.floor(position);
+        const end = Math.floor(position + step);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += samples[i];
+        output.push(sum / (end - start));
+        position += step;
+      }
+    } else {
+      while (Math.floor(position) + 1 < samples.length) {
+        const index = Math.floor(position);
+        const fraction = position - index;
+        output.push(samples[index] + (samples[index + 1] - samples[index]) * fraction);
+        position += step;
+      }
+    }
+
+    const consumed = Math.min(Math.floor(position), samples.length);
+    pending = samples.slice(consumed);
+    position -= consumed;
+    return Float32Array.from(output);
+  };
+}
+
+// 16-bit little-endian PCM from samples in [-1, 1]
+function toLinear16(samples) {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm.writeInt16LE(Math.round(sample < 0 ? sample * 32768 : sample * 32767), i * 2);
+  }
+  return pcm;
+}
+
+// Convert an upload for a provider; returns { audio, contentType, description, converted }
+function normalizeAudio(buffer, contentType, target = DEFAULT_FORMAT) {
+  const { type } = parseContentType(contentType);
+  if (PASSTHROUGH_TYPES.includes(type)) {
+    return { audio: buffer, contentType, description: type, converted: false };
+  }
+
+  const decoded = decodeAudio(buffer, contentType);
+  const samples = createResampler(decoded.sampleRate, target.sampleRate)(decoded.samples);
+  return {
+    audio: createWavBuffer(toLinear16(samples), target.sampleRate, 1),
+    contentType: 'audio/wav',
+    description: decoded.description,
+    converted: true
+  };
+}
+
+// Format a provider should receive for a stream: the session's own format if
+// the provider takes it natively, otherwise its preferred 16-bit PCM
+function providerFormat(format, provider) {
+  const native = provider.streamFormats;
+  if (native && native.encodings.includes(format.encoding) &&
+      (!native.sampleRates || native.sampleRates.includes(format.sampleRate)) &&
+      native.channels.includes(format.channels)) {
+    return format;
+  }
+  const preferred = provider.preferredFormat || DEFAULT_FORMAT;
+  return { encoding: 'linear16', sampleRate: preferred.sampleRate, channels: 1 };
+}
+
+// Mono samples in [-1, 1] from streamed audio in a session format
+function toSamples(data, format) {
+  return decodeToMono(data, format.encoding, format.channels, RAW_BYTES[format.encoding]);
+}
+
+// Chunk-by-chunk converter from a session format to 16-bit mono PCM at a
+// target rate; frames split across chunks are carried over
+function createStreamTranscoder(from, to) {
+  const bytesPerSample = RAW_BYTES[from.encoding];
+  const frameBytes = bytesPerSample * from.channels;
+  const resample = createResampler(from.sampleRate, to.sampleRate);
+  let remainder = Buffer.alloc(0);
+
+  return (chunk) => {
+    const data = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+    const usable = data.length - (data.length % frameBytes);
+    remainder = Buffer.from(data.subarray(usable));
+    return toLinear16(resample(decodeToMono(data.subarray(0, usable), from.encoding, from.channels, bytesPerSample)));
+  };
+}
+
+module.exports = {
+  STREAM_ENCODINGS,
+  STREAM_CHANNELS,
+  isSupportedType,
+  decodeAudio,
+  normalizeAudio,
+  providerFormat,
+  toSamples,
+  createStreamTranscoder
+};
@@ -0,0 +1,266 @@
+// Trigger-word detection shared by the WebSocket and HTTP paths
+//
+// A trigger is { word, modes, threshold, maxGap }:
+//   exact    - the trigger's words appear as whole words, side by side
+//   phrase   - the trigger's words appear in order with up to `maxGap` words between them
+//   partial  - a transcript word contains the trigger, or the trigger contains it
+//   fuzzy    - a run of transcript words is at least `threshold` similar (Dice)
+//   phonetic - every word sounds alike (Soundex) and is spelled at least
+//              `threshold` alike (edit distance), so "halp" matches "help"
+//              but "for" does not match "fire"
+// Modes are tried in the order listed on the trigger and the first match wins.
+// Boolean trigger rules (see rules.js) are checked alongside the words, and a
+// word that a rule requires is skipped while one of that rule's NOTs is present.
+const { evaluateRules, vetoedTerms } = require('./rules');
+
+const MATCH_MODES = ['exact', 'phrase', 'partial', 'fuzzy', 'phonetic'];
+const DEFAULT_MODES = (process.env.TRIGGER_MATCH_MODES || 'exact,phrase,fuzzy')
+  .split(',')
+  .map(m => m.trim().toLowerCase())
+  .filter(m => m.length > 0);
+const DEFAULT_THRESHOLD = parseFloat(process.env.TRIGGER_FUZZY_THRESHOLD || '0.7');
+const DEFAULT_MAX_GAP = parseInt(process.env.TRIGGER_PHRASE_MAX_GAP || '2', 10);
+
+// Turn a string or { word, modes, threshold, maxGap } into a full trigger, throwing on bad input
+function normalizeTrigger(entry) {
+  const trigger = typeof entry === 'string' ? { word: entry } : entry;
+
+  if (!trigger || typeof trigger.word !== 'string' || trigger.word.trim().length === 0) {
+    throw new Error('Each trigger needs a non-empty "word"');
+  }
+
+  const modes = trigger.modes === undefined ? DEFAULT_MODES : trigger.modes;
+  if (!Array.isArray(modes) || modes.length === 0) {
+    throw new Error(`Trigger "${trigger.word}": "modes" must be a non-empty array`);
+  }
+  const unknownMode = modes.find(m => !MATCH_MODES.includes(m));
+  if (unknownMode) {
+    throw new Error(`Trigger "${trigger.word}": unknown match mode "${unknownMode}" (use ${MATCH_MODES.join(', ')})`);
+  }
+
+  const threshold = trigger.threshold === undefined ? DEFAULT_THRESHOLD : Number(trigger.threshold);
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error(`Trigger "${trigger.word}": "threshold" must be between 0 and 1`);
+  }
+
+  const maxGap = trigger.maxGap === undefined ? DEFAULT_MAX_GAP : Number(trigger.maxGap);
+  if (!Number.isInteger(maxGap) || maxGap < 0) {
+    throw new Error(`Trigger "${trigger.word}": "maxGap" must be a whole number >= 0`);
+  }
+
+  const word = tokenize(trigger.word).join(' ');
+  if (word.length === 0) {
+    throw new Error(`Trigger "${trigger.word}" has no letters or digits`);
+  }
+
+  return {
+    word,
+    modes: [...modes],
+    threshold,
+    maxGap
+  };
+}
+
+// Lowercase and split into words, dropping punctuation
+function tokenize(text) {
+  return text.toLowerCase().split(/[^a-z0-9']+/).filter(w => w.length > 0);
+}
+
+// Parse a comma-separated list such as the TRIGGER_WORDS env var
+function parseTriggerWords(list) {
+  return list
+    .split(',')
+    .filter(w => w.trim().length > 0)
+    .map(normalizeTrigger);
+}
+
+// Check a transcript against the triggers and rules; returns one entry per
+// matched trigger or rule: { word, matchType, matchedToken, score }
+function detectTriggers(transcript, triggers, rules = []) {
+  const transcriptWords = tokenize(transcript);
+  const triggeredWords = [];
+  const vetoed = vetoedTerms(transcript, rules);
+
+  for (const trigger of triggers) {
+    if (vetoed.has(tokenize(trigger.word).join(' '))) continue;
+    const triggerWords = trigger.word.split(' ');
+    for (const mode of trigger.modes) {
+      const match = matchers[mode](trigger, triggerWords, transcriptWords);
+      if (match) {
+        triggeredWords.push({ word: trigger.word, matchType: mode, ...match });
+        break;
+      }
+    }
+  }
+
+  triggeredWords.push(...evaluateRules(transcript, rules));
+
+  return triggeredWords;
+}
+
+const matchers = {
+  exact(trigger, triggerWords, transcriptWords) {
+    return matchWindows(triggerWords, transcriptWords, (a, b) => (a === b ? 1 : 0), 1);
+  },
+
+  phrase(trigger, triggerWords, transcriptWords) {
+    // Walk forward, letting up to maxGap other words sit between trigger words
+    for (let start = 0; start < transcriptWords.length; start++) {
+      if (transcriptWords[start] !== triggerWords[0]) continue;
+
+      let position = start;
+      let matched = 1;
+      while (matched < triggerWords.length) {
+        const limit = Math.min(transcriptWords.length, position + trigger.maxGap + 2);
+        const next = transcriptWords.indexOf(triggerWords[matched], position + 1);
+        if (next === -1 || next >= limit) break;
+        position = next;
+        matched++;
+      }
+
+      if (matched === triggerWords.length) {
+        const span = transcriptWords.slice(start, position + 1);
+        return { matchedToken: span.join(' '), score: triggerWords.length / span.length };
+      }
+    }
+    return null;
+  },
+
+  partial(trigger, triggerWords, transcriptWords) {
+    for (const word of transcriptWords) {
+      if (word.length >= 2 && trigger.word.length >= 2) { // Avoid single letter matches
+        if (word.includes(trigger.word) || trigger.word.includes(word)) {
+          const score = Math.min(word.length, trigger.word.length) / Math.max(word.length, trigger.word.length);
+          return { matchedToken: word, score };
+        }
+      }
+    }
+    return null;
+  },
+
+  fuzzy(trigger, triggerWords, transcriptWords) {
+    // Compare against runs of as many words as the trigger has
+    const size = triggerWords.length;
+    let best = null;
+
+    for (let i = 0; i + size <= transcriptWords.length; i++) {
+      const token = transcriptWords.slice(i, i + size).join(' ');
+      if (token.length >= 3 && trigger.word.length >= 3) {
+        const score = calculateSimilarity(token, trigger.word);
+        if (score >= trigger.threshold && (!best || score > best.score)) {
+          best = { matchedToken: token, score };
+        }
+      }
+    }
+    return best;
+  },
+
+  phonetic(trigger, triggerWords, transcriptWords) {
+    const compare = (a, b) => {
+      if (soundex(a) !== soundex(b)) return 0;
+      return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+    };
+    return matchWindows(triggerWords, transcriptWords, compare, trigger.threshold);
+  }
+};
+
+// Slide the trigger's words over the transcript, scoring each word pair;
+// returns the best window whose every pair scores at least minScore
+function matchWindows(triggerWords, transcriptWords, compare, minScore) {
+  let best = null;
+
+  for (let i = 0; i + triggerWords.length <= transcriptWords.length; i++) {
+    let total = 0;
+    let ok = true;
+    for (let j = 0; j < triggerWords.length; j++) {
+      const score = compare(triggerWords[j], transcriptWords[i + j]);
+      if (score < minScore) {
+        ok = false;
+        break;
+      }
+      total += score;
+    }
+
+    const score = total / triggerWords.length;
+    if (ok && (!best || score > best.score)) {
+      best = { matchedToken: transcriptWords.slice(i, i + triggerWords.length).join(' '), score };
+    }
+  }
+  return best;
+}
+
+// American Soundex code, e.g. "help" and "halp" are both H410
+function soundex(word) {
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length === 0) return '';
+
+  let result = letters[0].toUpperCase();
+  let previous = codes[letters[0]];
+
+  for (let i = 1; i < letters.length && result.length < 4; i++) {
+    const letter = letters[i];
+    const code = codes[letter];
+    if (code && code !== previous) {
+      result += code;
+    }
+    // 'h' and 'w' do not separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') {
+      previous = code;
+    }
+  }
+
+  return result.padEnd(4, '0');
+}
+
+// Number of single-character edits needed to turn one string into the other
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Format a detection for logs, e.g. "help (fuzzy: halp, 75%)"
+function describeMatch(match) {
+  if (match.matchType === 'exact') return match.word;
+  return `${match.word} (${match.matchType}: ${match.matchedToken}, ${(match.score * 100).toFixed(0)}%)`;
+}
+
+// Calculate similarity between two strings using Dice coefficient
+function calculateSimilarity(str1, str2) {
+  const bigrams1 = getBigrams(str1);
+  const bigrams2 = getBigrams(str2);
+
+  const intersection = bigrams1.filter(bigram => bigrams2.includes(bigram));
+  const similarity = (2.0 * intersection.length) / (bigrams1.length + bigrams2.length);
+
+  return similarity;
+}
+
+// Get bigrams from a string
+function getBigrams(str) {
+  const bigrams = [];
+  for (let i = 0; i < str.length - 1; i++) {
+    bigrams.push(str.substring(i, i + 2));
+  }
+  return bigrams;
+}
+
+module.exports = {
+  MATCH_MODES,
+  normalizeTrigger,
+  parseTriggerWords,
+  detectTriggers,
+  describeMatch,
+  calculateSimilarity,
+  soundex
+};
@@ -0,0 +1,182 @@
+// Upstream transcription sessions that survive provider failures
+//
+// A device's audio goes to one provider stream at a time. When that stream
+// reports an error (see onError in providers/index.js) it is reopened after
+// UPSTREAM_RETRY_BASE_MS, doubling up to UPSTREAM_RETRY_MAX_MS, and audio that
+// arrives in the meantime is buffered (the last UPSTREAM_BUFFER_SECONDS) and
+// sent once the new stream is open. Once UPSTREAM_MAX_RETRIES reconnects in a
+// row have failed, the session fails over to the next provider in the list,
+// cycling back to the first. A stream that runs for UPSTREAM_STABLE_SECONDS without an error
+// resets the count. Each provider gets the session audio in a format it takes,
+// converted by lib/transcode.js where needed.
+const { bytesPerSecond } = require('./audio');
+const transcode = require('./transcode');
+
+const RETRY_BASE_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_MS || '500', 10);
+const RETRY_MAX_MS = parseInt(process.env.UPSTREAM_RETRY_MAX_MS || '10000', 10);
+const MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES || '3', 10);
+const BUFFER_SECONDS = parseFloat(process.env.UPSTREAM_BUFFER_SECONDS || '30');
+const STABLE_MS = parseFloat(process.env.UPSTREAM_STABLE_SECONDS || '10') * 1000;
+
+// Open a resilient session. `providers` is the primary provider followed by
+// its fallbacks; `format` and `language` are the session's.
+// onPartial(result, providerName), if given, receives interim transcripts,
+// onProviderChange({ provider, previous, reason }) is called on failover and
+// onStateChange(state) with 'connected' or 'reconnecting'.
+// Throws if the first provider cannot start and there is nothing to fail over to.
+function createUpstream(deviceId, { providers, format, language, onTranscript, onPartial, onProviderChange, onStateChange }) {
+  const maxBufferBytes = Math.round(BUFFER_SECONDS * bytesPerSecond(format));
+
+  let index = 0;
+  let stream = null;
+  let transcoder = null;
+  let failures = 0;
+  let retryTimer = null;
+  let stableTimer = null;
+  let closed = false;
+  let buffered = [];
+  let bufferedBytes = 0;
+  let droppedBytes = 0;
+
+  const provider = () => providers[index];
+
+  const setState = (state) => {
+    if (onStateChange) onStateChange(state);
+  };
+
+  // Buffer audio while no stream is open, dropping the oldest beyond the limit
+  const bufferAudio = (chunk) => {
+    buffered.push(Buffer.from(chunk));
+    bufferedBytes += chunk.length;
+    while (bufferedBytes > maxBufferBytes && buffered.length > 0) {
+      const dropped = buffered.shift();
+      bufferedBytes -= dropped.length;
+      droppedBytes += dropped.length;
+    }
+  };
+
+  const forward = (chunk) => {
+    const audio = transcoder ? transcoder(chunk) : chunk;
+    if (audio.length > 0) stream.send(audio);
+  };
+
+  // Start a stream on the current provider; returns false if it threw
+  const open = () => {
+    const current = provider();
+    const target = transcode.providerFormat(format, current);
+    let opened;
+    try {
+      opened = current.createStream(deviceId, {
+        onTranscript: (result) => {
+          if (stream === opened) onTranscript(result, current.name);
+        },
+        onPartial: onPartial && ((result) => {
+          if (stream === opened) onPartial(result, current.name);
+        }),
+        onError: (error) => {
+          if (stream === opened) fail(error);
+        },
+        format: target,
+        language
+      });
+    } catch (error) {
+      console.error(`[${deviceId}] ❌ Could not start ${current.name} transcription:`, error.message);
+      return false;
+    }
+
+    stream = opened;
+    transcoder = target === format ? null : transcode.createStreamTranscoder(format, target);
+    clearTimeout(stableTimer);
+    stableTimer = setTimeout(() => { failures = 0; }, STABLE_MS);
+    stableTimer.unref();
+
+    if (buffered.length > 0) {
+      const seconds = bufferedBytes / bytesPerSecond(format);
+      console.log(`[${deviceId}] ↪️ Sending ${seconds.toFixed(1)}s of audio buffered during the gap` +
+        (droppedBytes > 0 ? ` (${(droppedBytes / bytesPerSecond(format)).toFixed(1)}s dropped)` : ''));
+      const pending = buffered;
+      buffered = [];
+      bufferedBytes = 0;
+      droppedBytes = 0;
+      pending.forEach(forward);
+    }
+    setState('connected');
+    return true;
+  };
+
+  // Move to the next provider in the list
+  const failOver = (reason) => {
+    const previous = provider().name;
+    index = (index + 1) % providers.length;
+    failures = 0;
+    console.warn(`[${deviceId}] 🔀 Failing over from ${previous} to ${provider().name}: ${reason}`);
+    if (onProviderChange) onProviderChange({ provider: provider().name, previous, reason });
+  };
+
+  const scheduleRetry = (reason) => {
+    if (closed) return;
+    if (failures >= MAX_RETRIES && providers.length > 1) {
+      failOver(reason);
+    }
+    failures++;
+    const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, Math.max(0, failures - 1)));
+    console.log(`[${deviceId}] 🔄 Reconnecting to ${provider().name} in ${delay} ms (attempt ${failures})`);
+    setState('reconnecting');
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      if (!closed && !open()) scheduleRetry('could not start');
+    }, delay);
+  };
+
+  // The current stream failed: drop it and reconnect
+  const fail = (error) => {
+    const failed = stream;
+    stream = null;
+    transcoder = null;
+    clearTimeout(stableTimer);
+    console.warn(`[${deviceId}] ⚠️ ${provider().name} stream failed: ${error.message}`);
+    try {
+      failed.close();
+    } catch (e) {
+      // Already broken
+    }
+    scheduleRetry(error.message);
+  };
+
+  if (!open()) {
+    if (providers.length === 1) {
+      throw new Error(`${provider().name} transcription could not start`);
+    }
+    failOver('could not start');
+    if (!open()) scheduleRetry('could not start');
+  }
+
+  return {
+    get provider() {
+      return provider().name;
+    },
+    send(chunk) {
+      if (closed) return;
+      if (stream) {
+        forward(chunk);
+      } else {
+        bufferAudio(chunk);
+      }
+    },
+    flush() {
+      if (stream && stream.flush) stream.flush();
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      clearTimeout(stableTimer);
+      if (stream) stream.close();
+      stream = null;
+      buffered = [];
+    }
+  };
+}
+
+module.exports = {
+  createUpstream
+};
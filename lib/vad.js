@@ -0,0 +1,175 @@
+// Voice activity detection: hold back silence before it reaches the speech provider
+//
+// Streamed audio is cut into VAD_FRAME_MS frames and a frame counts as speech
+// when its RMS level reaches VAD_THRESHOLD_RMS (of 32767, like
+// PRESENCE_SILENCE_RMS). Silent frames are held in a VAD_PREROLL_MS ring and
+// dropped as it overflows; when speech starts the ring is sent first so the
+// onset is not clipped, and audio keeps flowing for VAD_HANGOVER_MS after the
+// last speech frame so trailing words and the provider's own endpointing still
+// see a pause. With VAD_ENABLED unset everything is forwarded, but the
+// per-device counters are kept either way.
+const { ENCODING_BYTES, bytesPerSecond } = require('./audio');
+const { toSamples } = require('./transcode');
+
+const VAD_ENABLED = (process.env.VAD_ENABLED || 'false').toLowerCase() === 'true';
+const VAD_THRESHOLD_RMS = parseFloat(process.env.VAD_THRESHOLD_RMS || '500');
+const VAD_FRAME_MS = parseInt(process.env.VAD_FRAME_MS || '20', 10);
+const VAD_PREROLL_MS = parseInt(process.env.VAD_PREROLL_MS || '300', 10);
+const VAD_HANGOVER_MS = parseInt(process.env.VAD_HANGOVER_MS || '800', 10);
+
+// Device ID → audio counters since the server started
+const stats = new Map();
+
+function getStats(deviceId) {
+  if (!stats.has(deviceId)) {
+    stats.set(deviceId, {
+      deviceId,
+      receivedSeconds: 0,
+      forwardedSeconds: 0,
+      suppressedSeconds: 0,
+      speechSegments: 0,
+      speaking: false,
+      lastSpeechAt: null
+    });
+  }
+  return stats.get(deviceId);
+}
+
+// Counters with the share of audio that never reached the provider
+function describe(entry) {
+  const { receivedSeconds, forwardedSeconds, suppressedSeconds } = entry;
+  return {
+    ...entry,
+    receivedSeconds: Math.round(receivedSeconds * 10) / 10,
+    forwardedSeconds: Math.round(forwardedSeconds * 10) / 10,
+    suppressedSeconds: Math.round(suppressedSeconds * 10) / 10,
+    suppressedRatio: receivedSeconds > 0 ? Math.round(suppressedSeconds / receivedSeconds * 1000) / 1000 : 0
+  };
+}
+
+function getDeviceStats(deviceId) {
+  return stats.has(deviceId) ? describe(stats.get(deviceId)) : null;
+}
+
+function listStats() {
+  return [...stats.values()].map(describe);
+}
+
+function forgetDevice(deviceId) {
+  stats.delete(deviceId);
+}
+
+function config() {
+  return {
+    enabled: VAD_ENABLED,
+    thresholdRms: VAD_THRESHOLD_RMS,
+    frameMs: VAD_FRAME_MS,
+    prerollMs: VAD_PREROLL_MS,
+    hangoverMs: VAD_HANGOVER_MS
+  };
+}
+
+// RMS level of audio in a stream format, on the 16-bit scale
+function audioLevel(frame, format) {
+  const samples = toSamples(frame, format);
+  if (samples.length === 0) return 0;
+  let sum = 0;
+  for (const sample of samples) sum += sample * sample;
+  return Math.sqrt(sum / samples.length) * 32768;
+}
+
+// Gate for one stream in `format`; send(chunk) forwards audio to the provider
+// and flush(), if given, is called when a stretch of speech has ended
+function createGate(deviceId, format, { send, flush }) {
+  const entry = getStats(deviceId);
+  const rate = bytesPerSecond(format);
+  const frameSize = ENCODING_BYTES[format.encoding] * format.channels; // one sample on every channel
+  const frameBytes = Math.max(frameSize, Math.round(rate * VAD_FRAME_MS / 1000 / frameSize) * frameSize);
+  const prerollBytes = Math.round(rate * VAD_PREROLL_MS / 1000);
+
+  let pending = Buffer.alloc(0);
+  let preroll = [];
+  let prerollSize = 0;
+  let hangoverMs = 0;
+  entry.speaking = false;
+
+  const forward = (chunks) => {
+    const audio = Buffer.concat(chunks);
+    if (audio.length === 0) return;
+    entry.forwardedSeconds += audio.length / rate;
+    send(audio);
+  };
+
+  const hold = (frame) => {
+    preroll.push(frame);
+    prerollSize += frame.length;
+    while (prerollSize > prerollBytes && preroll.length > 0) {
+      const dropped = preroll.shift();
+      prerollSize -= dropped.length;
+      entry.suppressedSeconds += dropped.length / rate;
+    }
+  };
+
+  return {
+    push(chunk) {
+      entry.receivedSeconds += chunk.length / rate;
+      if (!VAD_ENABLED) {
+        entry.forwardedSeconds += chunk.length / rate;
+        send(chunk);
+        return;
+      }
+
+      const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      const usable = data.length - (data.length % frameBytes);
+      pending = Buffer.from(data.subarray(usable));
+
+      const out = [];
+      for (let offset = 0; offset < usable; offset += frameBytes) {
+        const frame = data.subarray(offset, offset + frameBytes);
+        const voiced = audioLevel(frame, format) >= VAD_THRESHOLD_RMS;
+
+        if (voiced) {
+          if (!entry.speaking) {
+            entry.speaking = true;
+            entry.speechSegments++;
+            out.push(...preroll);
+            preroll = [];
+            prerollSize = 0;
+          }
+          entry.lastSpeechAt = new Date().toISOString();
+          hangoverMs = VAD_HANGOVER_MS;
+          out.push(frame);
+        } else if (entry.speaking) {
+          out.push(frame);
+          hangoverMs -= VAD_FRAME_MS;
+          if (hangoverMs <= 0) {
+            entry.speaking = false;
+            forward(out.splice(0));
+            if (flush) flush();
+          }
+        } else {
+          hold(Buffer.from(frame));
+        }
+      }
+      forward(out);
+    },
+    // Count audio still held back as suppressed
+    close() {
+      entry.suppressedSeconds += (prerollSize + pending.length) / rate;
+      entry.speaking = false;
+      preroll = [];
+      prerollSize = 0;
+      pending = Buffer.alloc(0);
+    }
+  };
+}
+
+module.exports = {
+  VAD_ENABLED,
+  config,
+  audioLevel,
+  createGate,
+  getDeviceStats,
+  listStats,
+  forgetDevice
+};
@@ -0,0 +1,194 @@
+// Signed outbound webhooks, subscriptions saved to DATA_DIR/webhooks.json
+//
+// A subscription is { id, url, events, secret, enabled }. Every bus event whose
+// type is listed in `events` (or '*') is POSTed to the url as
+// { id, type, timestamp, data } with these headers:
+//   X-Webhook-Id         unique delivery ID (the same across retries)
+//   X-Webhook-Event      event type
+//   X-Webhook-Timestamp  unix seconds when the request was signed
+//   X-Webhook-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+// Any non-2xx answer or network error is retried with exponential backoff;
+// after the last attempt the delivery goes to DATA_DIR/webhooks-dead-letter.jsonl.
+const crypto = require('crypto');
+const axios = require('axios');
+const { readJsonById, writeJson, appendJsonLine, readJsonLines } = require('./storage');
+const { EVENT_TYPES, subscribe } = require('./bus');
+
+const WEBHOOKS_FILE = 'webhooks.json';
+const DEAD_LETTER_FILE = 'webhooks-dead-letter.jsonl';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '1000', 10);
+const REQUEST_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10);
+const WEBHOOK_EVENT_TYPES = [...EVENT_TYPES, 'webhook.test'];
+
+const subscriptions = readJsonById(WEBHOOKS_FILE);
+
+function save() {
+  writeJson(WEBHOOKS_FILE, subscriptions);
+}
+
+// Validate subscription fields, throwing on bad input; missing fields keep their current value
+function normalizeSubscription(data, existing = {}) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Webhook body must be an object');
+  }
+
+  const url = data.url === undefined ? existing.url : data.url;
+  if (typeof url !== 'string' || !/^https?:\/\/\S+$/.test(url)) {
+    throw new Error('"url" must be an http(s) URL');
+  }
+
+  const events = data.events === undefined ? existing.events : data.events;
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('"events" must be a non-empty array');
+  }
+  const unknown = events.find(e => e !== '*' && !WEBHOOK_EVENT_TYPES.includes(e));
+  if (unknown) {
+    throw new Error(`Unknown event type "${unknown}" (use * or ${WEBHOOK_EVENT_TYPES.join(', ')})`);
+  }
+
+  const secret = data.secret === undefined ? existing.secret : data.secret;
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new Error('"secret" must be a string of at least 16 characters');
+  }
+
+  return {
+    url,
+    events: [...events],
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    enabled: data.enabled === undefined ? existing.enabled !== false : Boolean(data.enabled)
+  };
+}
+
+// Hide all but the start of the secret in listings
+function redact(subscription) {
+  return { ...subscription, secret: subscription.secret.slice(0, 4) + '…' };
+}
+
+function listSubscriptions() {
+  return Object.values(subscriptions).map(redact);
+}
+
+function getSubscription(id) {
+  return subscriptions[id] ? redact(subscriptions[id]) : null;
+}
+
+// Create a subscription; the full secret is only returned here
+function createSubscription(data) {
+  const subscription = { id: crypto.randomUUID(), ...normalizeSubscription(data), createdAt: new Date().toISOString() };
+  subscriptions[subscription.id] = subscription;
+  save();
+  return subscription;
+}
+
+// Update a subscription; returns null if it does not exist
+function updateSubscription(id, data) {
+  const existing = subscriptions[id];
+  if (!existing) return null;
+
+  subscriptions[id] = { ...existing, ...normalizeSubscription(data, existing) };
+  save();
+  return redact(subscriptions[id]);
+}
+
+function deleteSubscription(id) {
+  if (!subscriptions[id]) return false;
+  delete subscriptions[id];
+  save();
+  return true;
+}
+
+// Signature header value for a body signed at a timestamp
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Deliver one event to one subscription, retrying with backoff and
+// dead-lettering it when every attempt fails
+async function deliver(subscription, event, { maxAttempts = MAX_ATTEMPTS, deadLetter = true } = {}) {
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify({ id: deliveryId, ...event });
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      await axios.post(subscription.url, body, {
+        timeout: REQUEST_TIMEOUT,
+        headers: {
+          'content-type': 'application/json',
+          'x-webhook-id': deliveryId,
+          'x-webhook-event': event.type,
+          'x-webhook-timestamp': String(timestamp),
+          'x-webhook-signature': sign(subscription.secret, timestamp, body)
+        }
+      });
+      return { delivered: true, attempts: attempt };
+    } catch (error) {
+      lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+      console.error(`⚠️  Webhook ${event.type} → ${subscription.url} failed (attempt ${attempt}/${maxAttempts}): ${lastError}`);
+    }
+
+    if (attempt < maxAttempts) {
+      await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** (attempt - 1)));
+    }
+  }
+
+  if (deadLetter) {
+    try {
+      appendJsonLine(DEAD_LETTER_FILE, {
+        deliveryId,
+        subscriptionId: subscription.id,
+        url: subscription.url,
+        event,
+        attempts: maxAttempts,
+        lastError,
+        failedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Could not write webhook dead letter:', error.message);
+    }
+    console.error(`❌ Webhook ${event.type} → ${subscription.url} moved to dead-letter log`);
+  }
+  return { delivered: false, attempts: maxAttempts, error: lastError };
+}
+
+// Fan an event out to every enabled subscription that wants it
+function dispatch(event) {
+  for (const subscription of Object.values(subscriptions)) {
+    if (!subscription.enabled) continue;
+    if (!subscription.events.includes('*') && !subscription.events.includes(event.type)) continue;
+    deliver(subscription, event).catch((error) => {
+      console.error('❌ Webhook delivery error:', error.message);
+    });
+  }
+}
+
+// Send a webhook.test event to one subscription (single attempt) and wait for the outcome
+async function sendTest(id) {
+  const subscription = subscriptions[id];
+  if (!subscription) return null;
+  return deliver(subscription, {
+    type: 'webhook.test',
+    timestamp: new Date().toISOString(),
+    data: { message: 'Test delivery from Voice Alarm backend' }
+  }, { maxAttempts: 1, deadLetter: false });
+}
+
+function listDeadLetters() {
+  return readJsonLines(DEAD_LETTER_FILE).reverse();
+}
+
+subscribe('*', dispatch);
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendTest,
+  listDeadLetters,
+  sign
+};
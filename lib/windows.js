@@ -0,0 +1,150 @@
+// Sliding windows for providers that transcribe streamed audio piece by piece
+//
+// A stream is cut into windows of `windowBytes` that start every `hopBytes`,
+// so consecutive windows share windowBytes - hopBytes of audio and a phrase
+// spoken across a boundary is heard whole by at least one of them. The words
+// of the shared audio then show up in two transcripts; the merger drops them
+// from the second and reports the previous window's last words as `context`,
+// so trigger detection can still match a phrase that started in the earlier
+// window (see handleTranscript in server.js). Windows are transcribed one at a
+// time through a bounded queue per device.
+
+// Words kept as context for the next transcript; longer than any trigger phrase
+const CONTEXT_WORDS = 6;
+// Leading words of a window that may be fragments of a word cut at its start
+const MAX_SKIPPED_WORDS = 2;
+
+// Collects streamed audio and returns the windows that are complete
+function createSlidingWindow({ windowBytes, hopBytes }) {
+  let history = Buffer.alloc(0);
+  let newBytes = 0;
+
+  const take = () => {
+    newBytes = 0;
+    return Buffer.from(history);
+  };
+
+  return {
+    // Add audio; returns the windows it completed (usually none or one)
+    push(chunk) {
+      const windows = [];
+      let offset = 0;
+      while (offset < chunk.length) {
+        const size = Math.min(chunk.length - offset, hopBytes - newBytes);
+        history = Buffer.concat([history, chunk.subarray(offset, offset + size)]);
+        if (history.length > windowBytes) history = history.subarray(history.length - windowBytes);
+        newBytes += size;
+        offset += size;
+        if (newBytes >= hopBytes) windows.push(take());
+      }
+      return windows;
+    },
+    // Window ending with audio not yet in any window, or null if there is none
+    flush() {
+      return newBytes > 0 ? take() : null;
+    },
+    get pendingBytes() {
+      return newBytes;
+    }
+  };
+}
+
+function splitWords(text) {
+  return text.split(/\s+/).filter(w => w.length > 0);
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+// Removes the words one window's transcript repeats from the one before
+function createTranscriptMerger() {
+  let previous = [];
+
+  return {
+    // Returns { transcript, context }: the words not heard before and the
+    // previous window's last words; transcript is '' when nothing is new
+    merge(text) {
+      const words = splitWords(text);
+      const normalized = words.map(normalizeWord);
+      const before = previous.map(normalizeWord);
+
+      // Longest run at the end of the previous transcript that starts this one
+      let best = { skip: 0, length: 0 };
+      for (let skip = 0; skip <= MAX_SKIPPED_WORDS && skip < normalized.length; skip++) {
+        for (let length = Math.min(before.length, normalized.length - skip); length > best.length; length--) {
+          const tail = before.slice(before.length - length);
+          if (tail.every((w, i) => w === normalized[skip + i])) {
+            best = { skip, length };
+            break;
+          }
+        }
+      }
+
+      const context = previous.slice(-CONTEXT_WORDS).join(' ');
+      previous = words;
+      return {
+        transcript: words.slice(best.length > 0 ? best.skip + best.length : 0).join(' '),
+        context
+      };
+    },
+    // Forget the previous transcript, e.g. after a window was dropped
+    reset() {
+      previous = [];
+    }
+  };
+}
+
+// Runs jobs one at a time with at most `maxPending` waiting. When full,
+// dropPolicy 'oldest' discards the longest-waiting job for the new one and
+// 'newest' discards the new one. onDrop(job) is called for each discarded job,
+// and onError(error, job) for each job whose worker throws; the queue carries on.
+function createJobQueue({ maxPending, dropPolicy = 'oldest', worker, onDrop, onError }) {
+  const pending = [];
+  let running = false;
+  let stopped = false;
+
+  const next = async () => {
+    if (running || stopped || pending.length === 0) return;
+    running = true;
+    const job = pending.shift();
+    try {
+      await worker(job);
+    } catch (error) {
+      if (onError) {
+        onError(error, job);
+      } else {
+        console.error('❌ Queued job failed:', error.message);
+      }
+    } finally {
+      running = false;
+      next();
+    }
+  };
+
+  return {
+    push(job) {
+      if (stopped) return;
+      if (pending.length >= maxPending) {
+        const dropped = dropPolicy === 'newest' ? job : pending.shift();
+        if (onDrop) onDrop(dropped);
+        if (dropped === job) return;
+      }
+      pending.push(job);
+      next();
+    },
+    stop() {
+      stopped = true;
+      pending.length = 0;
+    },
+    get size() {
+      return pending.length + (running ? 1 : 0);
+    }
+  };
+}
+
+module.exports = {
+  createSlidingWindow,
+  createTranscriptMerger,
+  createJobQueue
+};
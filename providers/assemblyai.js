@@ -0,0 +1,337 @@
+const { AssemblyAI } = require('assemblyai');
+const axios = require('axios');
+const WebSocket = require('ws');
+const { DEFAULT_FORMAT, bytesPerSecond, createWavBuffer } = require('../lib/audio');
+const { createSlidingWindow, createTranscriptMerger, createJobQueue } = require('../lib/windows');
+
+const ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY;
+// Streams use AssemblyAI's real-time protocol unless this is 'false'
+const STREAMING = (process.env.ASSEMBLYAI_STREAMING || 'true').toLowerCase() !== 'false';
+// Real-time endpoint; point it at a local server for testing (see test-assemblyai-streaming.js)
+const STREAMING_URL = process.env.ASSEMBLYAI_STREAMING_URL || 'wss://streaming.assemblyai.com/v3/ws';
+// Languages of the multilingual streaming model; English uses the English model
+const STREAMING_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt'];
+// Real-time audio must arrive in chunks of 50-1000 ms
+const MIN_SEND_MS = 100;
+const MAX_SEND_MS = 1000;
+const MAX_SEND_MARKS = 1000;
+// Streams are transcribed in windows of WINDOW_SECONDS that overlap by OVERLAP_SECONDS
+const WINDOW_SECONDS = parseFloat(process.env.ASSEMBLYAI_WINDOW_SECONDS || '3');
+const OVERLAP_SECONDS = parseFloat(process.env.ASSEMBLYAI_OVERLAP_SECONDS || '1');
+// Windows waiting per device before QUEUE_DROP ('oldest' or 'newest') discards one
+const QUEUE_SIZE = parseInt(process.env.ASSEMBLYAI_QUEUE_SIZE || '3', 10);
+const QUEUE_DROP = process.env.ASSEMBLYAI_QUEUE_DROP === 'newest' ? 'newest' : 'oldest';
+const HOP_SECONDS = OVERLAP_SECONDS > 0 && OVERLAP_SECONDS < WINDOW_SECONDS ? WINDOW_SECONDS - OVERLAP_SECONDS : WINDOW_SECONDS;
+
+// Initialize AssemblyAI client
+const assemblyai = new AssemblyAI({
+  apiKey: ASSEMBLYAI_API_KEY
+});
+
+// Transcribe a complete audio file
+async function transcribe(audioBuffer, contentType) {
+  console.log('🎤 Using AssemblyAI for transcription...');
+  
+  try {
+    // Upload audio file first
+    console.log('📤 Uploading audio to AssemblyAI...');
+    const uploadResponse = await axios.post('https://api.assemblyai.com/v2/upload', audioBuffer, {
+      headers: {
+        'authorization': ASSEMBLYAI_API_KEY,
+        'content-type': contentType || 'application/octet-stream'
+      }
+    });
+    
+    const uploadUrl = uploadResponse.data.upload_url;
+    console.log('✓ Audio uploaded:', uploadUrl);
+    
+    // Request transcription
+    console.log('🔄 Requesting transcription...');
+    const transcriptResponse = await axios.post('https://api.assemblyai.com/v2/transcript', {
+      audio_url: uploadUrl,
+      language_code: 'en'
+    }, {
+      headers: {
+        'authorization': ASSEMBLYAI_API_KEY,
+        'content-type': 'application/json'
+      }
+    });
+    
+    const transcriptId = transcriptResponse.data.id;
+    console.log('✓ Transcription job created:', transcriptId);
+    
+    // Poll for completion
+    let transcript;
+    let attempts = 0;
+    const maxAttempts = 60; // 60 seconds timeout
+    
+    while (attempts < maxAttempts) {
+      const pollingResponse = await axios.get(`https://api.assemblyai.com/v2/transcript/${transcriptId}`, {
+        headers: {
+          'authorization': ASSEMBLYAI_API_KEY
+        }
+      });
+      
+      transcript = pollingResponse.data;
+      
+      if (transcript.status === 'completed') {
+        console.log('✓ Transcription completed');
+        return {
+          transcript: transcript.text || '',
+          confidence: transcript.confidence || 0
+        };
+      } else if (transcript.status === 'error') {
+        console.error('❌ AssemblyAI transcription error:', transcript.error);
+        throw new Error(transcript.error || 'Transcription failed');
+      }
+      
+      // Wait 1 second before polling again
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      attempts++;
+    }
+    
+    throw new Error('Transcription timeout');
+    
+  } catch (error) {
+    console.error('❌ AssemblyAI error:', error.message);
+    throw error;
+  }
+}
+
+// Transcribe one window of streamed audio; returns the transcript, or null on failure
+async function processAssemblyAIBuffer(deviceId, audioData, format = DEFAULT_FORMAT, language = 'en', onError = () => {}) {
+  try {
+    console.log(`[${deviceId}] Processing ${audioData.length} bytes with AssemblyAI...`);
+    
+    // Create WAV buffer
+    const wavBuffer = createWavBuffer(audioData, format.sampleRate, format.channels);
+    
+    // Transcribe with AssemblyAI
+    const transcript = await assemblyai.transcripts.transcribe({
+      audio: wavBuffer,
+      language_code: language
+    });
+    
+    return transcript;
+  } catch (error) {
+    console.error(`[${deviceId}] Error processing audio with AssemblyAI:`, error.message);
+    onError(error);
+    return null;
+  }
+}
+
+// Transcribe streamed audio in overlapping windows, one window at a time
+function createWindowedStream(deviceId, { onTranscript, onError, format = DEFAULT_FORMAT, language = 'en' }) {
+  console.log(`[${deviceId}] Starting AssemblyAI buffered transcription (${WINDOW_SECONDS}s windows every ${HOP_SECONDS}s, ${format.sampleRate} Hz, ${language})...`);
+  
+  const rate = bytesPerSecond({ ...format, encoding: 'linear16' });
+  const frameBytes = 2 * format.channels;
+  const toBytes = (seconds) => Math.max(frameBytes, Math.round(seconds * rate / frameBytes) * frameBytes);
+  const windows = createSlidingWindow({ windowBytes: toBytes(WINDOW_SECONDS), hopBytes: toBytes(HOP_SECONDS) });
+  const merger = createTranscriptMerger();
+  let dropped = 0;
+  let idleTimer = null;
+  
+  const queue = createJobQueue({
+    maxPending: QUEUE_SIZE,
+    dropPolicy: QUEUE_DROP,
+    worker: async ({ audio, queuedAt }) => {
+      const result = await processAssemblyAIBuffer(deviceId, audio, format, language, onError);
+      if (!result || !result.text || result.text.trim().length === 0) {
+        merger.reset();
+        return;
+      }
+      // Words from the audio this window shares with the previous one were already reported
+      const { transcript, context } = merger.merge(result.text);
+      if (transcript.length > 0) {
+        onTranscript({
+          transcript,
+          context,
+          confidence: result.confidence || 0,
+          latencyMs: Date.now() - queuedAt
+        });
+      }
+    },
+    onDrop: () => {
+      dropped++;
+      merger.reset();
+      console.warn(`[${deviceId}] ⚠️ AssemblyAI is falling behind, dropped the ${QUEUE_DROP} window (${dropped} so far)`);
+    },
+    onError: (error) => {
+      merger.reset();
+      console.error(`[${deviceId}] ❌ AssemblyAI window failed:`, error.message);
+    }
+  });
+  
+  const enqueue = (audio) => queue.push({ audio, queuedAt: Date.now() });
+  
+  // Audio that has not filled a window yet is sent once the stream goes quiet
+  const scheduleIdleFlush = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      const rest = windows.flush();
+      if (rest) enqueue(rest);
+    }, HOP_SECONDS * 1000);
+  };
+  
+  return {
+    send(data) {
+      windows.push(Buffer.from(data)).forEach(enqueue);
+      scheduleIdleFlush();
+    },
+    // Transcribe what is left without waiting for a full window
+    flush() {
+      clearTimeout(idleTimer);
+      const rest = windows.flush();
+      if (rest) enqueue(rest);
+    },
+    close() {
+      clearTimeout(idleTimer);
+      queue.stop();
+    }
+  };
+}
+
+// Open a real-time session (Universal Streaming, v3). The protocol is spoken
+// over `ws` rather than the SDK's StreamingTranscriber, which only accepts
+// wss:// URLs and so cannot be pointed at a local test server.
+function createRealtimeStream(deviceId, { onTranscript, onPartial, onError = () => {}, format = DEFAULT_FORMAT, language = 'en' }) {
+  const base = language.split('-')[0].toLowerCase();
+  const params = new URLSearchParams({
+    sample_rate: String(format.sampleRate),
+    encoding: format.encoding === 'mulaw' ? 'pcm_mulaw' : 'pcm_s16le',
+    speech_model: base === 'en' ? 'universal-streaming-english' : 'universal-streaming-multilingual'
+  });
+  console.log(`[${deviceId}] Starting AssemblyAI real-time transcription (${format.encoding} ${format.sampleRate} Hz, ${language})...`);
+
+  const socket = new WebSocket(`${STREAMING_URL}?${params}`, {
+    headers: { Authorization: ASSEMBLYAI_API_KEY }
+  });
+
+  const streamBytesPerSecond = bytesPerSecond(format);
+  const frameBytes = (format.encoding === 'mulaw' ? 1 : 2) * format.channels;
+  const toBytes = (ms) => Math.max(frameBytes, Math.round(ms / 1000 * streamBytesPerSecond / frameBytes) * frameBytes);
+  const minSendBytes = toBytes(MIN_SEND_MS);
+  const maxSendBytes = toBytes(MAX_SEND_MS);
+
+  // Audio waiting for the session to begin or for a full chunk
+  let pending = [];
+  let began = false;
+  let closing = false;
+  // When each chunk was sent, by its end position in the audio stream (see deepgram.js)
+  const sendMarks = [];
+  let sentSeconds = 0;
+
+  const latencyFor = (audioEndSeconds) => {
+    while (sendMarks.length > 1 && sendMarks[0].endSeconds < audioEndSeconds) {
+      sendMarks.shift();
+    }
+    return sendMarks.length > 0 ? Date.now() - sendMarks[0].at : null;
+  };
+
+  // Send buffered audio in chunks the service accepts; `all` also sends a short tail
+  const drain = (all) => {
+    if (!began || socket.readyState !== WebSocket.OPEN) return;
+    let audio = Buffer.concat(pending);
+    while (audio.length >= minSendBytes || (all && audio.length > 0)) {
+      const chunk = audio.subarray(0, Math.min(audio.length, maxSendBytes));
+      audio = audio.subarray(chunk.length);
+      sentSeconds += chunk.length / streamBytesPerSecond;
+      sendMarks.push({ endSeconds: sentSeconds, at: Date.now() });
+      if (sendMarks.length > MAX_SEND_MARKS) sendMarks.shift();
+      socket.send(chunk);
+    }
+    pending = audio.length > 0 ? [audio] : [];
+  };
+
+  const fail = (error) => {
+    if (closing) return;
+    closing = true;
+    onError(error);
+  };
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (e) {
+      console.warn(`[${deviceId}] Ignoring malformed AssemblyAI message`);
+      return;
+    }
+
+    if (message.error) {
+      console.error(`[${deviceId}] AssemblyAI error:`, message.error);
+      fail(new Error(message.error));
+      return;
+    }
+
+    if (message.type === 'Begin') {
+      console.log(`[${deviceId}] ✓ AssemblyAI session ${message.id} began`);
+      began = true;
+      drain(false);
+    } else if (message.type === 'Turn') {
+      const transcript = (message.transcript || '').trim();
+      if (transcript.length === 0) return;
+      const words = message.words || [];
+      const lastWord = words[words.length - 1];
+      const latencyMs = lastWord ? latencyFor(lastWord.end / 1000) : null;
+      if (message.end_of_turn) {
+        const confidence = words.length > 0 ? words.reduce((sum, w) => sum + (w.confidence || 0), 0) / words.length : 0;
+        onTranscript({ transcript, confidence, latencyMs });
+      } else if (onPartial) {
+        onPartial({ transcript, latencyMs });
+      }
+    }
+  });
+
+  socket.on('error', (error) => {
+    console.error(`[${deviceId}] AssemblyAI connection error:`, error.message);
+    fail(error);
+  });
+
+  socket.on('close', (code, reason) => {
+    console.log(`[${deviceId}] AssemblyAI connection closed (${code}${reason.length > 0 ? `: ${reason}` : ''})`);
+    fail(new Error(`AssemblyAI connection closed (${code})`));
+  });
+
+  return {
+    send(data) {
+      pending.push(Buffer.from(data));
+      drain(false);
+    },
+    // End the current turn so it is transcribed without waiting for more audio
+    flush() {
+      drain(true);
+      if (began && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'ForceEndpoint' }));
+      }
+    },
+    close() {
+      closing = true;
+      if (socket.readyState === WebSocket.OPEN) {
+        drain(true);
+        socket.send(JSON.stringify({ type: 'Terminate' }));
+        // The service answers with Termination and closes; don't wait forever
+        setTimeout(() => socket.terminate(), 2000).unref();
+      } else {
+        socket.terminate();
+      }
+    }
+  };
+}
+
+module.exports = {
+  name: 'assemblyai',
+  mode: STREAMING
+    ? 'Live streaming (real-time)'
+    : `Buffered processing (${WINDOW_SECONDS}-second windows, ${Math.max(0, WINDOW_SECONDS - HOP_SECONDS)}s overlap)`,
+  latency: STREAMING ? '<1 second' : '2-5 seconds',
+  isConfigured: () => Boolean(ASSEMBLYAI_API_KEY),
+  preferredFormat: { sampleRate: 16000, channels: 1 },
+  // Real-time sessions take mono PCM or mu-law; windows are wrapped in WAV, so any 16-bit PCM works
+  streamFormats: STREAMING
+    ? { encodings: ['linear16', 'mulaw'], sampleRates: null, channels: [1], languages: STREAMING_LANGUAGES }
+    : { encodings: ['linear16'], sampleRates: null, channels: [1, 2], languages: null },
+  transcribe,
+  createStream: STREAMING ? createRealtimeStream : createWindowedStream
+};
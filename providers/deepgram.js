@@ -0,0 +1,163 @@
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+const { DEFAULT_FORMAT, bytesPerSecond } = require('../lib/audio');
+
+const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY;
+const MAX_SEND_MARKS = 1000;
+// Deepgram closes a live connection after about 10 s without data, which
+// happens whenever voice activity detection holds back silence
+const KEEP_ALIVE_MS = 5000;
+
+let client = null;
+
+// Create the Deepgram client on first use so other providers work without a key
+function getClient() {
+  if (!client) {
+    client = createClient(DEEPGRAM_API_KEY);
+  }
+  return client;
+}
+
+// Transcribe a complete audio file
+async function transcribe(audioBuffer, contentType) {
+  console.log('🎤 Using Deepgram for transcription...');
+
+  let deepgramOptions = {
+    model: 'nova-2',
+    language: 'en',
+    smart_format: true,
+    punctuate: true,
+    diarize: false
+  };
+
+  // Configure based on audio format
+  if (contentType.includes('audio/webm') || contentType.includes('webm')) {
+    console.log('🔧 Configuring for WebM/Opus format');
+  } else if (contentType.includes('audio/wav') || contentType.includes('wav')) {
+    console.log('🔧 Configuring for WAV format');
+  } else if (contentType.includes('audio/raw')) {
+    console.log('🔧 Configuring for raw PCM format');
+    deepgramOptions.encoding = 'linear16';
+    deepgramOptions.sample_rate = 16000;
+    deepgramOptions.channels = 1;
+  } else {
+    console.log('🔧 Unknown format, letting Deepgram auto-detect');
+  }
+
+  console.log('Options:', JSON.stringify(deepgramOptions));
+
+  const { result, error } = await getClient().listen.prerecorded.transcribeFile(
+    audioBuffer,
+    deepgramOptions
+  );
+
+  if (error) {
+    console.error('❌ Deepgram error:', error);
+    throw new Error('Transcription failed: ' + error.message);
+  }
+
+  const transcript = result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
+  const confidence = result?.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0;
+
+  return { transcript, confidence };
+}
+
+// Open a live transcription session for a streaming device
+function createStream(deviceId, { onTranscript, onPartial, onError = () => {}, format = DEFAULT_FORMAT, language = 'en' }) {
+  console.log(`[${deviceId}] Starting Deepgram live transcription (${format.encoding} ${format.sampleRate} Hz, ${language})...`);
+
+  const streamBytesPerSecond = bytesPerSecond(format);
+  const deepgramConnection = getClient().listen.live({
+    model: 'nova-2',
+    language,
+    encoding: format.encoding,
+    sample_rate: format.sampleRate,
+    channels: format.channels,
+    smart_format: true,
+    // Interim results only when someone listens for them (early alarms)
+    interim_results: Boolean(onPartial),
+    utterance_end_ms: 1000,
+    endpointing: 300
+  });
+
+  // When each chunk was sent, by its end position in the audio stream, so a
+  // transcript's latency can be measured from the moment its audio went out
+  const sendMarks = [];
+  let sentSeconds = 0;
+  let lastSentAt = Date.now();
+  let closing = false;
+
+  const keepAliveTimer = setInterval(() => {
+    if (Date.now() - lastSentAt >= KEEP_ALIVE_MS && deepgramConnection.isConnected()) {
+      deepgramConnection.keepAlive();
+    }
+  }, KEEP_ALIVE_MS);
+
+  const latencyFor = (audioEndSeconds) => {
+    while (sendMarks.length > 1 && sendMarks[0].endSeconds < audioEndSeconds) {
+      sendMarks.shift();
+    }
+    return sendMarks.length > 0 ? Date.now() - sendMarks[0].at : null;
+  };
+
+  deepgramConnection.on(LiveTranscriptionEvents.Open, () => {
+    console.log(`[${deviceId}] ✓ Deepgram connection opened`);
+
+    deepgramConnection.on(LiveTranscriptionEvents.Transcript, (data) => {
+      const transcript = data.channel.alternatives[0].transcript;
+      const confidence = data.channel.alternatives[0].confidence;
+
+      if (!transcript || transcript.trim().length === 0) return;
+      const latencyMs = latencyFor(data.start + data.duration);
+      if (data.is_final === false) {
+        if (onPartial) onPartial({ transcript, latencyMs });
+      } else {
+        onTranscript({ transcript, confidence, latencyMs });
+      }
+    });
+
+  });
+
+  // Registered outside Open so a connection that never opens is reported too
+  deepgramConnection.on(LiveTranscriptionEvents.Error, (error) => {
+    console.error(`[${deviceId}] Deepgram error:`, error.message || error);
+    if (!closing) onError(error instanceof Error ? error : new Error(error.message || 'Deepgram error'));
+  });
+
+  deepgramConnection.on(LiveTranscriptionEvents.Close, () => {
+    console.log(`[${deviceId}] Deepgram connection closed`);
+    clearInterval(keepAliveTimer);
+    if (!closing) onError(new Error('Deepgram connection closed'));
+  });
+
+  return {
+    // Stream audio directly to Deepgram
+    send(data) {
+      sentSeconds += data.length / streamBytesPerSecond;
+      sendMarks.push({ endSeconds: sentSeconds, at: Date.now() });
+      if (sendMarks.length > MAX_SEND_MARKS) sendMarks.shift();
+      lastSentAt = Date.now();
+      deepgramConnection.send(data);
+    },
+    // Transcribe what has been sent so far without waiting for more audio
+    flush() {
+      if (deepgramConnection.isConnected()) deepgramConnection.finalize();
+    },
+    close() {
+      closing = true;
+      clearInterval(keepAliveTimer);
+      deepgramConnection.finish();
+    }
+  };
+}
+
+module.exports = {
+  name: 'deepgram',
+  mode: 'Live streaming (real-time)',
+  latency: '<1 second',
+  isConfigured: () => Boolean(DEEPGRAM_API_KEY),
+  preferredFormat: { sampleRate: 16000, channels: 1 },
+  // Stream formats accepted natively; null means any value
+  streamFormats: { encodings: ['linear16', 'mulaw', 'alaw'], sampleRates: null, channels: [1], languages: null },
+  transcribe,
+  createStream
+};
@@ -0,0 +1,64 @@
+// Speech provider registry
+//
+// Every provider exports the same contract:
+//   name                                - key used in SPEECH_API / X-Speech-API
+//   mode, latency                       - shown in the startup banner
+//   isConfigured()                      - true when credentials/settings are present
+//   transcribe(audioBuffer, contentType) -> Promise<{ transcript, confidence }>
+//     receives 16-bit PCM WAV in preferredFormat, or WebM as uploaded (lib/transcode.js)
+//   preferredFormat                     - { sampleRate, channels } of the 16-bit PCM that
+//                                         uploads and foreign stream formats are converted to
+//   streamFormats                       - { encodings, sampleRates, channels, languages }
+//                                         a stream accepts natively; null allows any value
+//   createStream(deviceId, { onTranscript, onPartial, onError, format, language }) -> { send(chunk), close(), flush()? }
+//     format is { encoding, sampleRate, channels } as agreed in the session
+//     handshake (lib/session.js), language a BCP-47 code such as "en".
+//     onTranscript is called with { transcript, confidence, latencyMs, context? }
+//     for every non-empty transcript the stream produces; latencyMs is the time
+//     from the audio reaching the provider to the transcript (null if unknown),
+//     and context the end of the previous transcript when windows overlap
+//     (lib/windows.js), so phrases across a boundary can still be matched.
+//     onPartial, if the provider supports interim results, is called with
+//     { transcript, latencyMs } for the unfinished text of the current utterance;
+//     the same words arrive again through onTranscript once they are final.
+//     onError(error) reports that the upstream session failed or closed on its
+//     own; the stream is then abandoned and replaced (lib/upstream.js)
+const deepgram = require('./deepgram');
+const assemblyai = require('./assemblyai');
+const vosk = require('./vosk');
+const mock = require('./mock');
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+registerProvider(deepgram);
+registerProvider(assemblyai);
+registerProvider(vosk);
+registerProvider(mock);
+
+// Look up a provider by name, throwing for unknown names
+function getProvider(name) {
+  const provider = providers.get(String(name || '').toLowerCase());
+  if (!provider) {
+    throw new Error(`Unknown speech API "${name}". Available: ${listProviders().join(', ')}`);
+  }
+  return provider;
+}
+
+function hasProvider(name) {
+  return providers.has(String(name || '').toLowerCase());
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  hasProvider,
+  listProviders
+};
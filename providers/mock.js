@@ -0,0 +1,103 @@
+const { DEFAULT_FORMAT, bytesPerSecond } = require('../lib/audio');
+
+// Scripted transcripts, separated by '|', returned in order and repeated
+const MOCK_TRANSCRIPTS = (process.env.MOCK_TRANSCRIPTS || 'hello this is a test|help there is a fire')
+  .split('|')
+  .map(t => t.trim())
+  .filter(t => t.length > 0);
+// Interim transcripts, '|'-separated like MOCK_TRANSCRIPTS and sent halfway
+// through the same utterance; by default the first half of its words
+const MOCK_PARTIALS = process.env.MOCK_PARTIALS ? process.env.MOCK_PARTIALS.split('|').map(t => t.trim()) : null;
+const MOCK_CONFIDENCE = parseFloat(process.env.MOCK_CONFIDENCE || '0.99');
+const MOCK_CHUNK_SECONDS = parseFloat(process.env.MOCK_CHUNK_SECONDS || '2');
+// Seconds of audio after which each stream reports an upstream error (0 = never),
+// for exercising reconnection and failover
+const MOCK_FAIL_AFTER_SECONDS = parseFloat(process.env.MOCK_FAIL_AFTER_SECONDS || '0');
+
+let prerecordedIndex = 0;
+
+// Return the script entry at a position, wrapping around at the end
+function scriptedResult(index) {
+  return {
+    transcript: MOCK_TRANSCRIPTS[index % MOCK_TRANSCRIPTS.length] || '',
+    confidence: MOCK_CONFIDENCE,
+    latencyMs: 0
+  };
+}
+
+// Interim transcript for a script entry
+function scriptedPartial(index) {
+  if (MOCK_PARTIALS) return MOCK_PARTIALS[index % MOCK_PARTIALS.length] || '';
+  const words = scriptedResult(index).transcript.split(/\s+/);
+  return words.slice(0, Math.ceil(words.length / 2)).join(' ');
+}
+
+// Each call returns the next scripted transcript; the audio itself is ignored
+async function transcribe(audioBuffer, contentType) {
+  console.log('🎤 Using mock provider for transcription...');
+  return scriptedResult(prerecordedIndex++);
+}
+
+// Emit one scripted transcript for every MOCK_CHUNK_SECONDS of audio received,
+// and with onPartial an interim one halfway through, so results depend only
+// on how much audio was sent, never on timing
+function createStream(deviceId, { onTranscript, onPartial, onError = () => {}, format = DEFAULT_FORMAT }) {
+  console.log(`[${deviceId}] Starting mock transcription (${MOCK_CHUNK_SECONDS}s per transcript)...`);
+
+  // Bytes of audio in the stream's format that make up one scripted utterance
+  const chunkBytes = Math.round(MOCK_CHUNK_SECONDS * bytesPerSecond(format));
+  let index = 0;
+  let pendingBytes = 0;
+  let totalBytes = 0;
+  let failed = false;
+  const failAfterBytes = MOCK_FAIL_AFTER_SECONDS * bytesPerSecond(format);
+  let partialSent = false;
+
+  // Interim transcript once half of the current utterance has arrived
+  const sendPartial = () => {
+    if (!onPartial || partialSent || pendingBytes < chunkBytes / 2) return;
+    partialSent = true;
+    const transcript = scriptedPartial(index);
+    if (transcript.length > 0) onPartial({ transcript, latencyMs: 0 });
+  };
+
+  return {
+    send(data) {
+      if (failed) return;
+      totalBytes += data.length;
+      if (failAfterBytes > 0 && totalBytes >= failAfterBytes) {
+        failed = true;
+        setImmediate(() => onError(new Error('Mock upstream failure')));
+        return;
+      }
+      pendingBytes += data.length;
+      sendPartial();
+      while (pendingBytes >= chunkBytes) {
+        pendingBytes -= chunkBytes;
+        onTranscript(scriptedResult(index++));
+        partialSent = false;
+        sendPartial();
+      }
+    },
+    close() {
+      pendingBytes = 0;
+    }
+  };
+}
+
+// Restart the prerecorded script from the beginning
+function reset() {
+  prerecordedIndex = 0;
+}
+
+module.exports = {
+  name: 'mock',
+  mode: 'Scripted transcripts (offline)',
+  latency: 'none',
+  isConfigured: () => MOCK_TRANSCRIPTS.length > 0,
+  preferredFormat: { sampleRate: 16000, channels: 1 },
+  streamFormats: { encodings: ['linear16', 'mulaw', 'alaw'], sampleRates: null, channels: [1, 2], languages: null },
+  transcribe,
+  createStream,
+  reset
+};
@@ -0,0 +1,152 @@
+const { SAMPLE_RATE, DEFAULT_FORMAT, parseWav } = require('../lib/audio');
+
+// Directory of an unpacked Vosk model, e.g. vosk-model-small-en-us-0.15
+const VOSK_MODEL_PATH = process.env.VOSK_MODEL_PATH;
+// Language of that model; a model only recognizes its own language
+const VOSK_MODEL_LANGUAGE = process.env.VOSK_MODEL_LANGUAGE || 'en';
+
+let vosk = null;
+let model = null;
+
+// Load the native module and the model on first use; loading takes a few
+// seconds and a few hundred MB, so it is shared by every device
+function getModel() {
+  if (model) return model;
+
+  if (!VOSK_MODEL_PATH) {
+    throw new Error('VOSK_MODEL_PATH is not set');
+  }
+
+  try {
+    vosk = require('vosk');
+  } catch (error) {
+    throw new Error('The "vosk" package is not installed. Run: npm install vosk');
+  }
+
+  vosk.setLogLevel(-1);
+  console.log(`📂 Loading Vosk model from ${VOSK_MODEL_PATH}...`);
+  model = new vosk.Model(VOSK_MODEL_PATH);
+  console.log('✓ Vosk model loaded');
+  return model;
+}
+
+function createRecognizer(sampleRate) {
+  const recognizer = new vosk.Recognizer({ model: getModel(), sampleRate });
+  recognizer.setWords(true);
+  return recognizer;
+}
+
+// Convert a Vosk result into { transcript, confidence }, averaging word confidences
+function toResult(result) {
+  const words = result.result || [];
+  const confidence = words.length > 0
+    ? words.reduce((sum, w) => sum + w.conf, 0) / words.length
+    : 0;
+  return { transcript: result.text || '', confidence };
+}
+
+// Transcribe a complete audio file (WAV or raw 16 kHz PCM)
+async function transcribe(audioBuffer, contentType) {
+  console.log('🎤 Using Vosk (offline) for transcription...');
+
+  let pcm = audioBuffer;
+  let sampleRate = SAMPLE_RATE;
+
+  if (contentType.includes('wav')) {
+    const wav = parseWav(audioBuffer);
+    if (wav.audioFormat !== 1 || wav.bitsPerSample !== 16 || wav.channels !== 1) {
+      throw new Error('Vosk needs 16-bit mono PCM WAV audio');
+    }
+    pcm = wav.data;
+    sampleRate = wav.sampleRate;
+  } else if (!contentType.includes('audio/raw')) {
+    throw new Error(`Vosk cannot decode ${contentType}; send audio/wav or audio/raw`);
+  }
+
+  getModel();
+  const recognizer = createRecognizer(sampleRate);
+
+  try {
+    await recognizer.acceptWaveformAsync(pcm);
+    return toResult(recognizer.finalResult());
+  } finally {
+    recognizer.free();
+  }
+}
+
+// Feed streamed mono PCM into a recognizer and emit each finished utterance
+function createStream(deviceId, { onTranscript, onError = () => {}, format = DEFAULT_FORMAT }) {
+  console.log(`[${deviceId}] Starting Vosk offline transcription (${format.sampleRate} Hz)...`);
+
+  getModel();
+  const recognizer = createRecognizer(format.sampleRate);
+  let closed = false;
+
+  // Recognition runs off the event loop, but chunks must be fed in order
+  let queue = Promise.resolve();
+
+  const emit = (result, receivedAt) => {
+    const { transcript, confidence } = toResult(result);
+    if (transcript.trim().length > 0) {
+      onTranscript({ transcript, confidence, latencyMs: Date.now() - receivedAt });
+    }
+  };
+
+  return {
+    send(data) {
+      if (closed) return;
+      const receivedAt = Date.now();
+      queue = queue
+        .then(() => recognizer.acceptWaveformAsync(Buffer.from(data)))
+        .then((endOfUtterance) => {
+          if (endOfUtterance && !closed) {
+            emit(recognizer.result(), receivedAt);
+          }
+        })
+        .catch((error) => {
+          console.error(`[${deviceId}] Vosk error:`, error.message);
+          onError(error);
+        });
+    },
+    // End the current utterance, e.g. when the speaker has gone quiet
+    flush() {
+      if (closed) return;
+      const flushedAt = Date.now();
+      queue = queue
+        .then(() => {
+          if (!closed) emit(recognizer.finalResult(), flushedAt);
+        })
+        .catch((error) => {
+          console.error(`[${deviceId}] Vosk error:`, error.message);
+          onError(error);
+        });
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      const closedAt = Date.now();
+      queue
+        .then(() => {
+          try {
+            emit(recognizer.finalResult(), closedAt);
+          } finally {
+            recognizer.free();
+          }
+        })
+        .catch((error) => {
+          console.error(`[${deviceId}] Vosk error while closing:`, error.message);
+        });
+    }
+  };
+}
+
+module.exports = {
+  name: 'vosk',
+  mode: 'Offline streaming (local CPU model)',
+  latency: '<1 second after each pause',
+  isConfigured: () => Boolean(VOSK_MODEL_PATH),
+  preferredFormat: { sampleRate: 16000, channels: 1 },
+  streamFormats: { encodings: ['linear16'], sampleRates: null, channels: [1], languages: [VOSK_MODEL_LANGUAGE] },
+  transcribe,
+  createStream
+};
@@ -4,6 +4,7 @@ const http = require('http');
 const HOST = 'localhost';
 const PORT = 3000;
 const DEVICE_ID = 'TEST001';
+const DEVICE_KEY = process.env.DEVICE_KEY; // key from POST /api/devices, unless DEVICE_AUTH=off
 
 console.log('🧪 Quick WebSocket Test\n');
 
@@ -32,7 +33,9 @@ const testWebSocket = () => {
     console.log(`2️⃣ Testing WebSocket connection...`);
     console.log(`   URL: ws://${HOST}:${PORT}/ws/audio/${DEVICE_ID}\n`);
     
-    const ws = new WebSocket(`ws://${HOST}:${PORT}/ws/audio/${DEVICE_ID}`);
+    const ws = new WebSocket(`ws://${HOST}:${PORT}/ws/audio/${DEVICE_ID}`, {
+      headers: DEVICE_KEY ? { Authorization: `Bearer ${DEVICE_KEY}` } : {}
+    });
     let pingsSent = 0;
     let pongsReceived = 0;
     let testTimeout;
@@ -3,36 +3,46 @@ const cors = require('cors');
 const path = require('path');
 const http = require('http');
 const WebSocket = require('ws');
-const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
-const { AssemblyAI } = require('assemblyai');
-const axios = require('axios');
 require('dotenv').config();
+const { getProvider, hasProvider, listProviders } = require('./providers');
+const { MATCH_MODES, detectTriggers, describeMatch } = require('./lib/triggers');
+const profiles = require('./lib/profiles');
+const events = require('./lib/events');
+const alarms = require('./lib/alarms');
+const escalation = require('./lib/escalation');
+const bus = require('./lib/bus');
+const webhooks = require('./lib/webhooks');
+const mqttBridge = require('./lib/mqtt');
+const devices = require('./lib/devices');
+const auth = require('./lib/auth');
+const { recordAudit, listAudit } = require('./lib/audit');
+const dashboard = require('./lib/dashboard');
+const presence = require('./lib/presence');
+const { SPEECH_LANGUAGE, defaultSession, negotiateSession } = require('./lib/session');
+const transcode = require('./lib/transcode');
+const vad = require('./lib/vad');
+const prealarms = require('./lib/prealarm');
+const suppression = require('./lib/suppression');
+const arming = require('./lib/arming');
+const outbox = require('./lib/outbox');
+const { createUpstream } = require('./lib/upstream');
+
+const { requireRole } = auth;
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ noServer: true });
 const PORT = process.env.PORT || 3000;
-const DEEPGRAM_API_KEY = process.env.DEEPGRAM_API_KEY;
-const ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY;
-const SPEECH_API = process.env.SPEECH_API || 'deepgram'; // 'deepgram' or 'assemblyai'
-const TRIGGER_WORDS = (process.env.TRIGGER_WORDS || 'alarm,too long ,help,fire').toLowerCase().split(',');
-
-// Store device results (in production, use Redis or database)
-const deviceResults = new Map();
+const SPEECH_API = (process.env.SPEECH_API || 'deepgram').toLowerCase(); // any registered provider, see providers/index.js
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(o => o.length > 0);
 
 // Middleware
-app.use(cors());
+// Cross-origin requests only from CORS_ORIGINS; devices and the built-in pages do not need CORS
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
 app.use(express.json());
+// Every audio type lib/transcode.js can read (WAV, raw PCM, G.711, Ogg/Opus, WebM)
 app.use(express.raw({
-  type: 'audio/wav',
-  limit: '10mb'
-}));
-app.use(express.raw({
-  type: 'audio/webm',
-  limit: '10mb'
-}));
-app.use(express.raw({
-  type: 'audio/raw',
+  type: (req) => transcode.isSupportedType(req.headers['content-type']),
   limit: '10mb'
 }));
 app.use(express.static('public'));
@@ -41,149 +51,180 @@ app.use(express.static('public'));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Initialize Deepgram client
-const deepgram = createClient(DEEPGRAM_API_KEY);
+// Resolve the default speech provider
+if (!hasProvider(SPEECH_API)) {
+  console.error(`❌ Unknown SPEECH_API "${SPEECH_API}". Available: ${listProviders().join(', ')}`);
+  process.exit(1);
+}
+const speechProvider = getProvider(SPEECH_API);
 
-// Initialize AssemblyAI client
-const assemblyai = new AssemblyAI({
-  apiKey: ASSEMBLYAI_API_KEY
-});
+// Providers a live stream fails over to, in order; by default every other
+// configured provider except the scripted mock
+const SPEECH_FALLBACK_APIS = process.env.SPEECH_FALLBACK_APIS !== undefined
+  ? process.env.SPEECH_FALLBACK_APIS.split(',').map(n => n.trim().toLowerCase()).filter(n => n.length > 0)
+  : listProviders().filter(n => n !== SPEECH_API && n !== 'mock' && getProvider(n).isConfigured());
+for (const name of SPEECH_FALLBACK_APIS) {
+  if (!hasProvider(name)) {
+    console.error(`❌ Unknown provider "${name}" in SPEECH_FALLBACK_APIS. Available: ${listProviders().join(', ')}`);
+    process.exit(1);
+  }
+}
+const fallbackProviders = SPEECH_FALLBACK_APIS.filter(n => n !== SPEECH_API).map(getProvider);
 
 console.log(`🎤 Speech API: ${SPEECH_API.toUpperCase()}`);
-console.log(`🔑 API Key configured: ${SPEECH_API === 'assemblyai' ? '✓ AssemblyAI' : '✓ Deepgram'}`);
+console.log(`🔑 API Key configured: ${speechProvider.isConfigured() ? '✓' : '✗'} ${SPEECH_API}`);
+if (fallbackProviders.length > 0) {
+  console.log(`🔀 Stream failover: ${fallbackProviders.map(p => p.name).join(', ')}`);
+}
+
+// Primary provider and the fallbacks that can transcribe a session's language
+function streamProviders(language) {
+  const base = language.split('-')[0].toLowerCase();
+  return [speechProvider, ...fallbackProviders.filter(p => !p.streamFormats || !p.streamFormats.languages || p.streamFormats.languages.includes(base))];
+}
 
 // WebSocket connections for live audio streaming
 const deviceConnections = new Map();
-const SAMPLE_RATE = 16000;
-const BUFFER_DURATION = 2; // Reduced from 3 to 2 seconds for lower latency and memory
 
 wss.on('connection', (ws, req) => {
-  const urlPath = req.url;
-  const deviceIdMatch = urlPath.match(/\/ws\/audio\/([^/]+)/);
-  const deviceId = deviceIdMatch ? deviceIdMatch[1] : 'unknown';
+  const deviceId = audioDeviceId(req.url) || 'unknown';
   
   console.log(`\n🎤 [WS] Device ${deviceId} connected via WebSocket`);
   console.log(`[${deviceId}] Using ${SPEECH_API.toUpperCase()} for transcription`);
   
-  let audioBuffer = [];
-  let deepgramConnection = null;
-  let processingInterval = null;
+  // A reconnecting device replaces its old connection
+  const previous = deviceConnections.get(deviceId);
+  if (previous) {
+    previous.close(1000, 'Replaced by a new connection');
+  }
   
   deviceConnections.set(deviceId, ws);
+  presence.connected(deviceId, ws);
+  dashboard.deviceConnected(deviceId, SPEECH_API);
+  bus.publish('device.online', { deviceId, provider: SPEECH_API });
   
-  // Initialize Deepgram live transcription
-  if (SPEECH_API === 'deepgram') {
-    console.log(`[${deviceId}] Starting Deepgram live transcription...`);
-    
-    deepgramConnection = deepgram.listen.live({
-      model: 'nova-2',
-      language: 'en',
-      smart_format: true,
-      interim_results: false,
-      utterance_end_ms: 1000,
-      endpointing: 300
-    });
-    
-    deepgramConnection.on(LiveTranscriptionEvents.Open, () => {
-      console.log(`[${deviceId}] ✓ Deepgram connection opened`);
-      
-      deepgramConnection.on(LiveTranscriptionEvents.Transcript, (data) => {
-        const transcript = data.channel.alternatives[0].transcript;
-        const confidence = data.channel.alternatives[0].confidence;
-        
-        if (transcript && transcript.trim().length > 0) {
-          console.log(`[${deviceId}] 📝 "${transcript}" (${(confidence * 100).toFixed(1)}%)`);
-          
-          const triggered = checkTriggerWords(transcript);
-          
-          if (triggered) {
-            console.log(`\n🚨 [${deviceId}] ALARM TRIGGERED: "${transcript}"\n`);
-            
-            deviceResults.set(deviceId, {
-              triggered: true,
-              transcription: transcript,
-              confidence: confidence,
-              timestamp: new Date().toISOString()
-            });
-            
-            if (ws.readyState === WebSocket.OPEN) {
-              ws.send(JSON.stringify({
-                command: 'ALARM',
-                transcription: transcript,
-                confidence: confidence
-              }));
-            }
-          } else {
-            // Send transcription update
-            if (ws.readyState === WebSocket.OPEN) {
-              ws.send(JSON.stringify({
-                type: 'transcription',
-                transcription: transcript,
-                confidence: confidence
-              }));
-            }
+  // The transcription stream starts once the session format is known: after a
+  // successful hello, or with the defaults on the first audio frame without one
+  let session = null;
+  let stream = null;
+  let gate = null;
+  let helloRejected = false;
+  let noSessionReported = false;
+  
+  const sendMessage = (message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+  const sendError = (code, message, extra = {}) => sendMessage({ type: 'error', code, message, ...extra });
+  
+  // Start transcribing with the agreed session; returns false (and closes) if no provider can start
+  const startSession = (agreed) => {
+    const format = { encoding: agreed.encoding, sampleRate: agreed.sampleRate, channels: agreed.channels };
+    try {
+      // Reconnects and fails over on its own; audio is converted per provider
+      stream = createUpstream(deviceId, {
+        providers: streamProviders(agreed.language),
+        format,
+        language: agreed.language,
+        onTranscript: (result, provider) => handleTranscript(deviceId, ws, result, provider),
+        // Interim results are only requested when they can raise an early alarm
+        onPartial: prealarms.EARLY_ALARM ? (result, provider) => handlePartial(deviceId, ws, result, provider) : undefined,
+        onProviderChange: ({ provider, previous, reason }) => {
+          // While the session is starting it does not exist yet; it picks up stream.provider
+          if (session) {
+            session.provider = provider;
+            presence.sessionStarted(deviceId, session);
           }
-        }
-      });
-      
-      deepgramConnection.on(LiveTranscriptionEvents.Error, (error) => {
-        console.error(`[${deviceId}] Deepgram error:`, error);
-      });
-      
-      deepgramConnection.on(LiveTranscriptionEvents.Close, () => {
-        console.log(`[${deviceId}] Deepgram connection closed`);
+          dashboard.providerChanged(deviceId, provider);
+          sendMessage({ type: 'provider_changed', provider, previous, reason });
+          bus.publish('provider.failover', { deviceId, provider, previous, reason });
+        },
+        onStateChange: (state) => dashboard.upstreamStateChanged(deviceId, state)
       });
+    } catch (error) {
+      console.error(`[${deviceId}] ❌ Could not start ${SPEECH_API} transcription:`, error.message);
+      sendError('provider_unavailable', 'Speech provider unavailable');
+      ws.close(1011, 'Speech provider unavailable');
+      return false;
+    }
+    // Silence is held back before it reaches the provider
+    gate = vad.createGate(deviceId, format, {
+      send: (chunk) => stream.send(chunk),
+      flush: () => stream.flush()
     });
-  }
+    session = { ...agreed, provider: stream.provider };
+    presence.sessionStarted(deviceId, session);
+    dashboard.sessionStarted(deviceId, session);
+    console.log(`[${deviceId}] Session ${session.sessionId}: ${session.encoding} ${session.sampleRate} Hz x${session.channels}, ${session.language}` +
+      (session.firmware ? `, firmware ${session.firmware}` : ''));
+    return true;
+  };
   
-  // Initialize AssemblyAI buffered transcription
-  if (SPEECH_API === 'assemblyai') {
-    console.log(`[${deviceId}] Starting AssemblyAI buffered transcription (${BUFFER_DURATION}s chunks)...`);
-    
-    // Process audio buffer periodically
-    processingInterval = setInterval(async () => {
-      if (audioBuffer.length > 0) {
-        const bufferCopy = [...audioBuffer];
-        audioBuffer = [];
-        await processAssemblyAIBuffer(deviceId, bufferCopy, ws);
-      }
-    }, BUFFER_DURATION * 1000);
-  }
+  const handleHello = (hello) => {
+    if (session) {
+      return sendError('session_already_started', 'The session has already started; reconnect to change its settings', { session });
+    }
+    const result = negotiateSession(hello, speechProvider);
+    if (result.errors) {
+      helloRejected = true;
+      console.warn(`[${deviceId}] ⚠️ Hello rejected: ${result.errors.map(e => e.code).join(', ')}`);
+      return sendError('hello_rejected', 'The requested session cannot be honored', { errors: result.errors });
+    }
+    helloRejected = false;
+    if (startSession(result.session)) {
+      sendMessage({ type: 'hello_ack', protocol: session.protocol, session });
+    }
+  };
   
-  ws.on('message', (data) => {
-    if (typeof data === 'string') {
-      // Text message (device info, commands)
+  ws.on('message', (data, isBinary) => {
+    presence.seen(deviceId);
+    if (!isBinary) {
+      // Text message (handshake, device info)
+      let msg;
       try {
-        const msg = JSON.parse(data);
-        if (msg.type === 'device_id') {
-          console.log(`[WS] Device identified: ${msg.deviceId}`);
-        }
+        msg = JSON.parse(data.toString());
       } catch (e) {
-        // Ignore parse errors
+        return sendError('invalid_json', 'Text messages must be JSON');
       }
-    } else {
-      // Binary audio data
-      if (SPEECH_API === 'deepgram' && deepgramConnection) {
-        // Stream directly to Deepgram
-        deepgramConnection.send(data);
-      } else if (SPEECH_API === 'assemblyai') {
-        // Buffer for AssemblyAI
-        audioBuffer.push(Buffer.from(data));
+      if (!msg || typeof msg !== 'object') {
+        return sendError('invalid_json', 'Text messages must be JSON objects');
+      }
+      if (msg.type === 'hello') {
+        handleHello(msg);
+      } else if (msg.type === 'device_id') {
+        console.log(`[WS] Device identified: ${msg.deviceId}`);
+      } else {
+        sendError('unknown_message_type', `Unknown message type ${JSON.stringify(msg.type)}`);
       }
+      return;
     }
+    
+    // Binary audio data
+    if (!session) {
+      // A device whose hello was rejected must not stream in a format nobody agreed to
+      if (helloRejected) {
+        if (!noSessionReported) {
+          noSessionReported = true;
+          sendError('no_session', 'Audio ignored until a hello is accepted');
+        }
+        return;
+      }
+      if (!startSession(defaultSession(speechProvider))) return;
+    }
+    presence.audioReceived(deviceId, vad.audioLevel(data, session), 'websocket');
+    dashboard.recordAudio(deviceId, data.length);
+    gate.push(data);
   });
   
   ws.on('close', () => {
     console.log(`[WS] Device ${deviceId} disconnected`);
+    if (gate) gate.close();
+    if (stream) stream.close();
+    if (deviceConnections.get(deviceId) !== ws) return; // already replaced
     deviceConnections.delete(deviceId);
-    
-    if (deepgramConnection) {
-      deepgramConnection.finish();
-    }
-    
-    if (processingInterval) {
-      clearInterval(processingInterval);
-    }
+    prealarms.clear(deviceId);
+    presence.disconnected(deviceId, ws);
+    dashboard.deviceDisconnected(deviceId);
+    bus.publish('device.offline', { deviceId, reason: 'disconnected' });
   });
   
   ws.on('error', (error) => {
@@ -191,132 +232,381 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-// Check if transcript contains trigger words
-function checkTriggerWords(transcript) {
-  const lowerTranscript = transcript.toLowerCase();
-  return TRIGGER_WORDS.some(word => {
-    const similarity = calculateSimilarity(lowerTranscript, word);
-    return lowerTranscript.includes(word) || similarity > 0.8;
+// Plain list of a profile's trigger words
+function triggerWordList(profile = profiles.getProfile(profiles.DEFAULT_PROFILE_ID)) {
+  return profile.words.map(t => t.word);
+}
+
+// Run trigger detection with the profile assigned to a device. `context` is
+// text already checked with the previous transcript (overlapping windows):
+// phrases that run from it into the transcript match, but triggers found in
+// the context alone were reported then and are left out.
+function detectDeviceTriggers(deviceId, transcript, context) {
+  const profile = profiles.getProfileForDevice(deviceId);
+  if (!context) {
+    return { profile, triggeredWords: detectTriggers(transcript, profile.words, profile.rules) };
+  }
+  const reported = detectTriggers(context, profile.words, profile.rules).map(t => t.word);
+  return {
+    profile,
+    triggeredWords: detectTriggers(`${context} ${transcript}`, profile.words, profile.rules)
+      .filter(t => !reported.includes(t.word))
+  };
+}
+
+// Decide whether a detection raises an alarm: not while the device is
+// disarmed or in test mode (lib/arming.js), nor when the profile's
+// false-positive suppression holds it back (lib/suppression.js). Returns
+// null when the alarm may go ahead, otherwise { reason, message } after
+// logging and recording the detection as a suppressed or test event
+function checkDetection({ deviceId, source, provider, profile, transcript, confidence, triggeredWords }) {
+  const state = deviceId ? arming.getState(deviceId) : null;
+  const suppressed = state && state.mode !== 'armed'
+    ? { reason: state.mode, message: `Device is ${state.mode === 'test' ? 'in test mode' : 'disarmed'}${state.source === 'schedule' ? ' by its schedule' : ''}` }
+    : suppression.evaluate(deviceId, profile, { confidence });
+  if (!suppressed) return null;
+  
+  const test = suppressed.reason === 'test';
+  console.log(test
+    ? `🧪 [${deviceId}] Test detection, no alarm: "${transcript}" [${triggeredWords.map(describeMatch).join(', ')}]`
+    : `🔇 [${deviceId || 'no device'}] Detection suppressed (${suppressed.reason}): ${suppressed.message}`);
+  events.recordEvent({
+    type: test ? 'detection.test' : 'detection.suppressed',
+    deviceId: deviceId || null,
+    source,
+    provider,
+    profile: profile.id,
+    transcript,
+    confidence,
+    triggeredWords,
+    reason: suppressed.reason,
+    detail: suppressed.message
   });
+  return suppressed;
+}
+
+function isDeviceConnected(deviceId) {
+  const ws = deviceConnections.get(deviceId);
+  return Boolean(ws && ws.readyState === WebSocket.OPEN);
 }
 
-// Process buffered audio for AssemblyAI
-async function processAssemblyAIBuffer(deviceId, audioBuffer, ws) {
-  if (audioBuffer.length === 0) return;
+// Send a JSON message to a device over its live WebSocket; returns false if it is not connected
+function sendToDevice(deviceId, message) {
+  if (!isDeviceConnected(deviceId)) {
+    return false;
+  }
+  deviceConnections.get(deviceId).send(JSON.stringify(message));
+  return true;
+}
+
+// Send a message over the device's live WebSocket, or queue it for HTTP
+// polling when it has none; returns 'sent' or 'queued'
+function deliverToDevice(deviceId, message) {
+  if (sendToDevice(deviceId, message)) return 'sent';
+  const queued = outbox.enqueue(deviceId, message);
+  console.log(`📥 [${deviceId}] ${message.command} queued for polling (seq ${queued.seq})`);
+  return 'queued';
+}
+
+// Record a detection, open (or add to) the device's alarm and queue ALARM for
+// a device without a live connection; returns the alarm, or null when there is no device ID
+function raiseAlarm(detection) {
+  const { deviceId, transcript, confidence, triggeredWords } = detection;
+  const event = events.recordEvent(detection);
   
-  try {
-    const audioData = Buffer.concat(audioBuffer);
-    console.log(`[${deviceId}] Processing ${audioData.length} bytes with AssemblyAI...`);
-    
-    // Create WAV buffer
-    const wavBuffer = createWavBuffer(audioData);
-    
-    // Transcribe with AssemblyAI
-    const transcript = await assemblyai.transcripts.transcribe({
-      audio: wavBuffer,
-      language_code: 'en'
+  if (!deviceId) {
+    bus.publish('alarm.triggered', { deviceId: null, alarm: null, detection: event });
+    return null;
+  }
+  
+  const policy = escalation.getPolicyForDevice(deviceId);
+  const alarm = alarms.triggerAlarm({
+    deviceId,
+    eventId: event.id,
+    transcript,
+    confidence,
+    triggeredWords,
+    policyId: policy ? policy.id : null
+  });
+  
+  // Start the escalation clock when a new alarm opens
+  if (alarm.detections === 1) {
+    escalation.scheduleEscalation(alarm, policy, alarms.getAlarm, runEscalationStep);
+  }
+  
+  if (!isDeviceConnected(deviceId)) {
+    queueAlarm(alarm);
+  }
+  bus.publish('alarm.triggered', { deviceId, alarm, detection: event });
+  return alarm;
+}
+
+// Queue ALARM for a device that polls over HTTP, replacing an ALARM of the
+// same alarm it has not acknowledged yet
+function queueAlarm(alarm, extra = {}) {
+  outbox.remove(alarm.deviceId, c => c.command === 'ALARM' && c.alarmId === alarm.id);
+  const queued = outbox.enqueue(alarm.deviceId, {
+    command: 'ALARM',
+    alarmId: alarm.id,
+    transcription: alarm.transcript,
+    confidence: alarm.confidence,
+    triggeredWords: alarm.triggeredWords,
+    timestamp: alarm.lastTriggeredAt,
+    ...extra
+  });
+  console.log(`📥 [${alarm.deviceId}] ALARM queued for polling (seq ${queued.seq})`);
+}
+
+// Run one escalation step for an alarm nobody has acknowledged
+async function runEscalationStep(alarm, step, index) {
+  console.log(`⏫ [${alarm.deviceId}] Alarm still unacknowledged, escalation step ${index + 1}: ${step.action}`);
+  
+  let results;
+  if (step.action === 'resend_alarm') {
+    const sent = sendToDevice(alarm.deviceId, {
+      command: 'ALARM',
+      alarmId: alarm.id,
+      transcription: alarm.transcript,
+      confidence: alarm.confidence,
+      triggeredWords: alarm.triggeredWords,
+      escalationStep: index + 1
     });
-    
-    if (transcript.text && transcript.text.trim().length > 0) {
-      const confidence = transcript.confidence || 0;
-      console.log(`[${deviceId}] 📝 "${transcript.text}" (${(confidence * 100).toFixed(1)}%)`);
-      
-      const triggered = checkTriggerWords(transcript.text);
-      
-      if (triggered) {
-        console.log(`\n🚨 [${deviceId}] ALARM TRIGGERED: "${transcript.text}"\n`);
-        
-        deviceResults.set(deviceId, {
-          triggered: true,
-          transcription: transcript.text,
-          confidence: confidence,
-          timestamp: new Date().toISOString()
-        });
-        
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({
-            command: 'ALARM',
-            transcription: transcript.text,
-            confidence: confidence
-          }));
-        }
-      } else {
-        // Send transcription update
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({
-            type: 'transcription',
-            transcription: transcript.text,
-            confidence: confidence
-          }));
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`[${deviceId}] Error processing audio with AssemblyAI:`, error.message);
+    if (!sent) queueAlarm(alarm, { escalationStep: index + 1 });
+    results = [{ status: sent ? 'sent' : 'queued for polling' }];
+  } else {
+    results = await escalation.notifyContacts(alarm, step, index);
   }
+  
+  const updated = alarms.recordEscalation(alarm.id, { step: index, action: step.action, results });
+  bus.publish('alarm.escalated', { deviceId: alarm.deviceId, alarm: updated, step: index, action: step.action });
+  events.recordEvent({ type: 'alarm.escalated', deviceId: alarm.deviceId, alarmId: alarm.id, step: index, action: step.action, results });
 }
 
-// Create WAV buffer from PCM data
-function createWavBuffer(pcmData) {
-  const sampleRate = SAMPLE_RATE;
-  const numChannels = 1;
-  const bitsPerSample = 16;
-  const byteRate = sampleRate * numChannels * bitsPerSample / 8;
-  const blockAlign = numChannels * bitsPerSample / 8;
-  const dataSize = pcmData.length;
-  const fileSize = 44 + dataSize;
-  
-  const header = Buffer.alloc(44);
-  header.write('RIFF', 0);
-  header.writeUInt32LE(fileSize - 8, 4);
-  header.write('WAVE', 8);
-  header.write('fmt ', 12);
-  header.writeUInt32LE(16, 16);
-  header.writeUInt16LE(1, 20);
-  header.writeUInt16LE(numChannels, 22);
-  header.writeUInt32LE(sampleRate, 24);
-  header.writeUInt32LE(byteRate, 28);
-  header.writeUInt16LE(blockAlign, 32);
-  header.writeUInt16LE(bitsPerSample, 34);
-  header.write('data', 36);
-  header.writeUInt32LE(dataSize, 40);
-  
-  return Buffer.concat([header, pcmData]);
+// Tell a device its pre-alarm is off and record why
+function cancelPreAlarm(preAlarm, reason, finalTranscript = null) {
+  console.log(`[${preAlarm.deviceId}] ↩️ Pre-alarm cancelled (${reason}): "${preAlarm.transcript}"`);
+  sendToDevice(preAlarm.deviceId, { command: 'CANCEL_PRE_ALARM', preAlarmId: preAlarm.id, reason });
+  events.recordEvent({
+    type: 'pre_alarm.cancelled',
+    deviceId: preAlarm.deviceId,
+    source: 'websocket',
+    provider: preAlarm.provider,
+    preAlarmId: preAlarm.id,
+    transcript: preAlarm.transcript,
+    triggeredWords: preAlarm.triggeredWords,
+    finalTranscript,
+    reason
+  });
 }
 
-// Helper function: Calculate similarity between two strings using Dice coefficient
-function calculateSimilarity(str1, str2) {
-  const bigrams1 = getBigrams(str1);
-  const bigrams2 = getBigrams(str2);
+// Handle an interim transcript: warn the device early when it contains a trigger
+function handlePartial(deviceId, ws, { transcript }, provider = SPEECH_API) {
+  if (prealarms.getPending(deviceId)) return;
+  
+  const { profile, triggeredWords } = detectDeviceTriggers(deviceId, transcript);
+  if (triggeredWords.length === 0) return;
+  if (arming.getState(deviceId).mode !== 'armed' || suppression.inCooldown(deviceId, profile)) return;
   
-  const intersection = bigrams1.filter(bigram => bigrams2.includes(bigram));
-  const similarity = (2.0 * intersection.length) / (bigrams1.length + bigrams2.length);
+  const preAlarm = prealarms.start(deviceId, { transcript, triggeredWords, provider },
+    (expired) => cancelPreAlarm(expired, 'timeout'));
+  console.log(`\n⚠️ [${deviceId}] PRE-ALARM: "${transcript}" [${triggeredWords.map(describeMatch).join(', ')}]\n`);
   
-  return similarity;
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      command: 'PRE_ALARM',
+      preAlarmId: preAlarm.id,
+      transcription: transcript,
+      triggeredWords: triggeredWords
+    }));
+  }
 }
 
-// Helper function: Get bigrams from a string
-function getBigrams(str) {
-  const bigrams = [];
-  for (let i = 0; i < str.length - 1; i++) {
-    bigrams.push(str.substring(i, i + 2));
+// Handle a transcript produced by a device's live stream
+function handleTranscript(deviceId, ws, { transcript, confidence, latencyMs, context }, provider = SPEECH_API) {
+  console.log(`[${deviceId}] 📝 "${transcript}" (${(confidence * 100).toFixed(1)}%)`);
+  
+  const { profile, triggeredWords } = detectDeviceTriggers(deviceId, transcript, context);
+  const suppressed = triggeredWords.length > 0
+    ? checkDetection({ deviceId, source: 'websocket', provider, profile, transcript, confidence, triggeredWords })
+    : null;
+  const triggered = triggeredWords.length > 0 && !suppressed;
+  
+  // A final transcript confirms a pending pre-alarm, or cancels it if it covers the same words
+  let early = null;
+  if (triggered) {
+    early = prealarms.confirm(deviceId);
+  } else {
+    const cancelled = prealarms.cancel(deviceId, transcript);
+    if (cancelled) cancelPreAlarm(cancelled, suppressed ? 'suppressed' : 'not_confirmed', transcript);
+  }
+  
+  bus.publish('transcription.received', {
+    deviceId,
+    source: 'websocket',
+    provider,
+    transcript,
+    confidence,
+    latencyMs: latencyMs === undefined ? null : latencyMs,
+    triggered,
+    triggeredWords,
+    suppressed: suppressed ? suppressed.reason : null
+  });
+  
+  if (triggered) {
+    console.log(`\n🚨 [${deviceId}] ALARM TRIGGERED: "${transcript}" [${triggeredWords.map(describeMatch).join(', ')}]\n`);
+    
+    const alarm = raiseAlarm({
+      deviceId,
+      source: 'websocket',
+      provider,
+      profile: profile.id,
+      transcript,
+      confidence,
+      triggeredWords,
+      latencyMs: latencyMs === undefined ? null : latencyMs,
+      preAlarmId: early ? early.preAlarm.id : null,
+      earlyWarningMs: early ? early.earlyWarningMs : null
+    });
+    if (early) {
+      console.log(`[${deviceId}] ✓ Pre-alarm confirmed, ${early.earlyWarningMs} ms early`);
+    }
+    
+    if (ws.readyState === WebSocket.OPEN) {
+      const message = {
+        command: 'ALARM',
+        alarmId: alarm.id,
+        transcription: transcript,
+        confidence: confidence,
+        triggeredWords: triggeredWords
+      };
+      if (early) message.preAlarmId = early.preAlarm.id;
+      ws.send(JSON.stringify(message));
+    }
+  } else {
+    // Send transcription update
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'transcription',
+        transcription: transcript,
+        confidence: confidence
+      }));
+    }
   }
-  return bigrams;
 }
 
+// A device's own key, or a signed-in operator (the device page records on behalf of a device);
+// returns null when allowed, otherwise { status, error }
+function checkDeviceAccess(req, deviceId) {
+  const authError = devices.verifyDevice(deviceId, devices.keyFromRequest(req));
+  if (!authError) return null;
+  // A malformed device ID is refused for operators too
+  if (authError.status === 400) return authError;
+  return auth.hasRole(auth.authenticate(req), 'operator') ? null : authError;
+}
+
+// Page to return to after signing in, or "/" unless it is a path on this site,
+// so /login is no open redirect. It is resolved the way a browser would, which
+// reads "//host", "/\\host" and the like as another site.
+function loginRedirectPath(next) {
+  if (typeof next !== 'string' || !next.startsWith('/')) return '/';
+  let url;
+  try {
+    url = new URL(next, 'http://localhost');
+  } catch (error) {
+    return '/';
+  }
+  const path = url.pathname + url.search + url.hash;
+  return url.origin === 'http://localhost' && /^\/(?![/\\])/.test(path) ? path : '/';
+}
+
+// Login page for the web interface
+app.get('/login', (req, res) => {
+  res.render('login', { next: loginRedirectPath(req.query.next) });
+});
+
+// Exchange an API token for a session cookie: { token }
+app.post('/api/auth/login', (req, res) => {
+  const session = auth.login(req.body && req.body.token, req.secure);
+  if (!session) {
+    console.warn('🔒 Failed login from', req.ip);
+    return res.status(401).json({ success: false, error: 'Invalid token' });
+  }
+  res.setHeader('Set-Cookie', session.cookie);
+  recordAudit(session.principal, 'auth.login', session.principal.id);
+  res.json({ success: true, name: session.principal.name, role: session.principal.role });
+});
+
+// End the current session
+app.post('/api/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', auth.logout(req));
+  res.json({ success: true });
+});
+
+// Who the request is authenticated as
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json(req.principal);
+});
+
+// List API tokens (without secrets)
+app.get('/api/auth/tokens', requireRole('admin'), (req, res) => {
+  res.json({ tokens: auth.listTokens(), roles: auth.ROLES });
+});
+
+// Create an API token: { name, role }; the secret is only returned here
+app.post('/api/auth/tokens', requireRole('admin'), (req, res) => {
+  try {
+    const created = auth.createToken(req.body);
+    console.log(`📝 API token created: ${created.token.name} (${created.token.role})`);
+    recordAudit(req.principal, 'token.create', created.token.id, { name: created.token.name, role: created.token.role });
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke an API token and its sessions
+app.delete('/api/auth/tokens/:tokenId', requireRole('admin'), (req, res) => {
+  if (!auth.deleteToken(req.params.tokenId)) {
+    return res.status(404).json({ success: false, error: 'Token not found' });
+  }
+  console.log('📝 API token revoked:', req.params.tokenId);
+  recordAudit(req.principal, 'token.delete', req.params.tokenId);
+  res.json({ success: true });
+});
+
+// Audit log, newest first: ?action=&target=&limit=
+app.get('/api/audit', requireRole('admin'), (req, res) => {
+  res.json({ entries: listAudit(req.query) });
+});
+
 // Home page - Device control interface
-app.get('/', (req, res) => {
+app.get('/', requireRole('viewer'), (req, res) => {
   res.render('index', { 
-    triggerWords: TRIGGER_WORDS.join(', ')
+    triggerWords: triggerWordList().join(', ')
   });
 });
 
+// Live operations dashboard
+app.get('/dashboard', requireRole('viewer'), (req, res) => {
+  res.render('dashboard', { principal: req.principal });
+});
+
+// Current dashboard state: connected devices and open alarms
+app.get('/api/dashboard', requireRole('viewer'), (req, res) => {
+  res.json(dashboard.snapshot());
+});
+
+// Server-Sent Events stream of dashboard snapshots and activity
+app.get('/api/dashboard/stream', requireRole('viewer'), (req, res) => {
+  dashboard.openStream(req, res);
+});
+
 // Device page - Audio recording for specific device
-app.get('/device/:deviceId', (req, res) => {
+app.get('/device/:deviceId', requireRole('operator'), (req, res) => {
   const { deviceId } = req.params;
   res.render('device', { 
     deviceId,
-    triggerWords: TRIGGER_WORDS.join(', ')
+    triggerWords: triggerWordList(profiles.getProfileForDevice(deviceId)).join(', ')
   });
 });
 
@@ -325,125 +615,12 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    triggerWords: TRIGGER_WORDS,
-    speechAPI: SPEECH_API
+    triggerWords: triggerWordList(),
+    speechAPI: SPEECH_API,
+    mqtt: mqttBridge.isEnabled() ? (mqttBridge.isConnected() ? 'connected' : 'disconnected') : 'disabled'
   });
 });
 
-// Transcribe with AssemblyAI
-async function transcribeWithAssemblyAI(audioBuffer, contentType) {
-  console.log('🎤 Using AssemblyAI for transcription...');
-  
-  try {
-    // Upload audio file first
-    console.log('📤 Uploading audio to AssemblyAI...');
-    const uploadResponse = await axios.post('https://api.assemblyai.com/v2/upload', audioBuffer, {
-      headers: {
-        'authorization': ASSEMBLYAI_API_KEY,
-        'content-type': contentType || 'application/octet-stream'
-      }
-    });
-    
-    const uploadUrl = uploadResponse.data.upload_url;
-    console.log('✓ Audio uploaded:', uploadUrl);
-    
-    // Request transcription
-    console.log('🔄 Requesting transcription...');
-    const transcriptResponse = await axios.post('https://api.assemblyai.com/v2/transcript', {
-      audio_url: uploadUrl,
-      language_code: 'en'
-    }, {
-      headers: {
-        'authorization': ASSEMBLYAI_API_KEY,
-        'content-type': 'application/json'
-      }
-    });
-    
-    const transcriptId = transcriptResponse.data.id;
-    console.log('✓ Transcription job created:', transcriptId);
-    
-    // Poll for completion
-    let transcript;
-    let attempts = 0;
-    const maxAttempts = 60; // 60 seconds timeout
-    
-    while (attempts < maxAttempts) {
-      const pollingResponse = await axios.get(`https://api.assemblyai.com/v2/transcript/${transcriptId}`, {
-        headers: {
-          'authorization': ASSEMBLYAI_API_KEY
-        }
-      });
-      
-      transcript = pollingResponse.data;
-      
-      if (transcript.status === 'completed') {
-        console.log('✓ Transcription completed');
-        return {
-          transcript: transcript.text || '',
-          confidence: transcript.confidence || 0
-        };
-      } else if (transcript.status === 'error') {
-        console.error('❌ AssemblyAI transcription error:', transcript.error);
-        throw new Error(transcript.error || 'Transcription failed');
-      }
-      
-      // Wait 1 second before polling again
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      attempts++;
-    }
-    
-    throw new Error('Transcription timeout');
-    
-  } catch (error) {
-    console.error('❌ AssemblyAI error:', error.message);
-    throw error;
-  }
-}
-
-// Transcribe with Deepgram
-async function transcribeWithDeepgram(audioBuffer, contentType) {
-  console.log('🎤 Using Deepgram for transcription...');
-  
-  let deepgramOptions = {
-    model: 'nova-2',
-    language: 'en',
-    smart_format: true,
-    punctuate: true,
-    diarize: false
-  };
-  
-  // Configure based on audio format
-  if (contentType.includes('audio/webm') || contentType.includes('webm')) {
-    console.log('🔧 Configuring for WebM/Opus format');
-  } else if (contentType.includes('audio/wav') || contentType.includes('wav')) {
-    console.log('🔧 Configuring for WAV format');
-  } else if (contentType.includes('audio/raw')) {
-    console.log('🔧 Configuring for raw PCM format');
-    deepgramOptions.encoding = 'linear16';
-    deepgramOptions.sample_rate = 16000;
-    deepgramOptions.channels = 1;
-  } else {
-    console.log('🔧 Unknown format, letting Deepgram auto-detect');
-  }
-  
-  console.log('Options:', JSON.stringify(deepgramOptions));
-  
-  const { result, error } = await deepgram.listen.prerecorded.transcribeFile(
-    audioBuffer,
-    deepgramOptions
-  );
-  
-  if (error) {
-    console.error('❌ Deepgram error:', error);
-    throw new Error('Transcription failed: ' + error.message);
-  }
-  
-  const transcript = result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
-  const confidence = result?.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0;
-  
-  return { transcript, confidence };
-}
-
 // Process audio from ESP32 and return transcription with trigger status
 app.post('/api/process-audio', async (req, res) => {
   const startTime = Date.now();
@@ -452,11 +629,29 @@ app.post('/api/process-audio', async (req, res) => {
   console.log('Content-Length:', req.headers['content-length']);
   console.log('Device ID:', req.headers['x-device-id'] || 'unknown');
   
-  // Check if API is specified in request header, otherwise use .env default
-  const requestedAPI = req.headers['x-speech-api'] || SPEECH_API;
-  console.log('Speech API:', requestedAPI.toUpperCase());
-  
+  // Everything runs inside the try: an error thrown in an async route would otherwise never reach Express
   try {
+    const authError = checkDeviceAccess(req, req.headers['x-device-id']);
+    if (authError) {
+      console.warn(`🔒 Rejected audio from ${req.headers['x-device-id'] || 'unknown device'}: ${authError.error}`);
+      return res.status(authError.status).json({ success: false, error: authError.error });
+    }
+    if (req.headers['x-device-id']) {
+      presence.audioReceived(req.headers['x-device-id'], null, 'http');
+    }
+    
+    // Check if API is specified in request header, otherwise use .env default
+    const requestedAPI = (req.headers['x-speech-api'] || SPEECH_API).toLowerCase();
+    console.log('Speech API:', requestedAPI.toUpperCase());
+    
+    if (!hasProvider(requestedAPI)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown speech API: ${requestedAPI}`,
+        availableAPIs: listProviders()
+      });
+    }
+    
     const audioData = req.body;
     
     if (!audioData || audioData.length === 0) {
@@ -473,19 +668,30 @@ app.post('/api/process-audio', async (req, res) => {
     const contentType = req.headers['content-type'] || 'audio/webm';
     console.log('🎵 Audio format:', contentType);
     
+    // Decode and resample to the provider's preferred format
+    const provider = getProvider(requestedAPI);
+    let prepared;
+    try {
+      prepared = transcode.normalizeAudio(audioData, contentType, provider.preferredFormat);
+    } catch (error) {
+      console.error('❌ Could not decode audio:', error.message);
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported or invalid audio',
+        details: error.message
+      });
+    }
+    if (prepared.converted) {
+      console.log(`🔄 Converted ${prepared.description} to ${provider.preferredFormat.sampleRate} Hz mono PCM`);
+    }
+    
     // Transcribe using selected API
     let transcript, confidence;
     
     try {
-      if (requestedAPI === 'assemblyai') {
-        const result = await transcribeWithAssemblyAI(audioData, contentType);
-        transcript = result.transcript;
-        confidence = result.confidence;
-      } else {
-        const result = await transcribeWithDeepgram(audioData, contentType);
-        transcript = result.transcript;
-        confidence = result.confidence;
-      }
+      const result = await provider.transcribe(prepared.audio, prepared.contentType);
+      transcript = result.transcript;
+      confidence = result.confidence;
     } catch (error) {
       console.error('❌ Transcription error:', error);
       return res.status(500).json({ 
@@ -498,65 +704,52 @@ app.post('/api/process-audio', async (req, res) => {
     console.log('📝 Transcription:', transcript);
     console.log('📊 Confidence:', confidence);
     
-    // Enhanced trigger word detection with fuzzy matching
-    const transcriptLower = transcript.toLowerCase();
-    const transcriptWords = transcriptLower.split(/\s+/); // Split into individual words
-    
-    const triggeredWords = [];
-    
-    for (const triggerWord of TRIGGER_WORDS) {
-      const trimmedTrigger = triggerWord.trim().toLowerCase();
-      
-      // Method 1: Exact match (current behavior)
-      if (transcriptLower.includes(trimmedTrigger)) {
-        triggeredWords.push(trimmedTrigger);
-        continue;
-      }
-      
-      // Method 2: Check if any word in transcript contains the trigger word (partial match)
-      for (const word of transcriptWords) {
-        if (word.includes(trimmedTrigger) || trimmedTrigger.includes(word)) {
-          if (word.length >= 2 && trimmedTrigger.length >= 2) { // Avoid single letter matches
-            triggeredWords.push(trimmedTrigger + ' (matched: ' + word + ')');
-            break;
-          }
-        }
-      }
-      
-      // Method 3: Fuzzy match - check similarity
-      for (const word of transcriptWords) {
-        if (word.length >= 3 && trimmedTrigger.length >= 3) {
-          const similarity = calculateSimilarity(word, trimmedTrigger);
-          if (similarity >= 0.7) { // 70% similarity threshold
-            triggeredWords.push(trimmedTrigger + ' (fuzzy: ' + word + ', ' + (similarity * 100).toFixed(0) + '%)');
-            break;
-          }
-        }
-      }
-    }
+    // Trigger word detection (same engine and profile lookup as the WebSocket path)
+    const deviceId = req.headers['x-device-id'];
+    const { profile, triggeredWords } = detectDeviceTriggers(deviceId, transcript);
+    const suppressed = triggeredWords.length > 0
+      ? checkDetection({ deviceId, source: 'http', provider: requestedAPI, profile, transcript, confidence, triggeredWords })
+      : null;
     
-    const shouldTrigger = triggeredWords.length > 0;
+    const shouldTrigger = triggeredWords.length > 0 && !suppressed;
     
     if (shouldTrigger) {
-      console.log('🚨 TRIGGER DETECTED! Words:', triggeredWords.join(', '));
-    } else {
+      console.log('🚨 TRIGGER DETECTED! Words:', triggeredWords.map(describeMatch).join(', '));
+    } else if (!suppressed) {
       console.log('✅ No trigger words detected');
     }
     
     const processingTime = Date.now() - startTime;
     console.log('⏱️  Processing time:', processingTime, 'ms');
     
-    // Store result for device if device ID provided
-    const deviceId = req.headers['x-device-id'];
-    if (deviceId && shouldTrigger) {
-      deviceResults.set(deviceId, {
-        transcription: transcript,
-        confidence: confidence,
-        triggered: true,
-        triggeredWords: triggeredWords,
-        timestamp: new Date().toISOString()
+    bus.publish('transcription.received', {
+      deviceId: deviceId || null,
+      source: 'http',
+      provider: requestedAPI,
+      transcript,
+      confidence,
+      latencyMs: processingTime,
+      triggered: shouldTrigger,
+      triggeredWords,
+      suppressed: suppressed ? suppressed.reason : null
+    });
+    
+    // Record the alarm, and store the result for the device if a device ID was provided
+    let alarm = null;
+    if (shouldTrigger) {
+      alarm = raiseAlarm({
+        deviceId: deviceId || null,
+        source: 'http',
+        provider: requestedAPI,
+        profile: profile.id,
+        transcript,
+        confidence,
+        triggeredWords,
+        latencyMs: processingTime
       });
-      console.log('📝 Stored trigger result for device:', deviceId);
+      if (alarm) {
+        console.log('📝 Stored trigger result for device:', deviceId);
+      }
     }
     
     // Send response
@@ -566,6 +759,9 @@ app.post('/api/process-audio', async (req, res) => {
       confidence: confidence,
       triggered: shouldTrigger,
       triggeredWords: triggeredWords,
+      suppressed: suppressed,
+      alarmId: alarm ? alarm.id : null,
+      profile: profile.id,
       processingTime: processingTime,
       speechAPI: requestedAPI,
       timestamp: new Date().toISOString()
@@ -593,26 +789,101 @@ app.get('/api/stream', (req, res) => {
 });
 
 // Configuration endpoint
-app.get('/api/config', (req, res) => {
+app.get('/api/config', requireRole('viewer'), (req, res) => {
+  const profile = profiles.getProfile(profiles.DEFAULT_PROFILE_ID);
   res.json({
-    triggerWords: TRIGGER_WORDS,
+    triggerWords: triggerWordList(profile),
+    triggers: profile.words,
+    rules: profile.rules,
+    profiles: profiles.listProfiles().map(p => p.id),
+    matchModes: MATCH_MODES,
     model: 'nova-2',
-    language: 'en'
+    language: SPEECH_LANGUAGE
   });
 });
 
-// ESP32 polling endpoint - Check for trigger results
+// Parse a cursor (a command's seq, 0 for none); returns null if it is not one
+function parseCursor(value) {
+  if (value === undefined) return 0;
+  const cursor = Number(value);
+  return Number.isInteger(cursor) && cursor >= 0 ? cursor : null;
+}
+
+// Queued commands for a device: ?cursor=<last seq seen>&wait=<seconds>&ack=true.
+// With wait, the request is held until a command arrives (at most
+// LONG_POLL_MAX_SECONDS); with ack=true, commands up to the cursor are
+// acknowledged first, so a device can acknowledge and poll in one request.
+app.get('/api/device/:deviceId/commands', (req, res) => {
+  const { deviceId } = req.params;
+  const authError = checkDeviceAccess(req, deviceId);
+  if (authError) {
+    return res.status(authError.status).json({ success: false, error: authError.error });
+  }
+  const cursor = parseCursor(req.query.cursor);
+  if (cursor === null) {
+    return res.status(400).json({ success: false, error: '"cursor" must be a whole number >= 0' });
+  }
+  const wait = req.query.wait === undefined ? 0 : Number(req.query.wait);
+  if (!(wait >= 0)) {
+    return res.status(400).json({ success: false, error: '"wait" must be a number of seconds >= 0' });
+  }
+  
+  if (req.query.ack === 'true' && cursor > 0) {
+    outbox.ack(deviceId, cursor);
+  }
+  presence.seen(deviceId);
+  
+  const reply = () => {
+    const result = outbox.list(deviceId, cursor);
+    if (result.commands.length > 0) {
+      console.log(`📤 [${deviceId}] Delivered ${result.commands.map(c => `${c.command || c.type} (seq ${c.seq})`).join(', ')}`);
+    }
+    res.json({ success: true, ...result });
+  };
+  if (outbox.list(deviceId, cursor).commands.length > 0 || wait === 0) {
+    return reply();
+  }
+  
+  const stop = outbox.waitForCommands(deviceId, cursor, Math.min(wait, outbox.LONG_POLL_MAX_SECONDS) * 1000, reply);
+  res.on('close', stop);
+});
+
+// Acknowledge every queued command up to and including a cursor: { cursor }
+app.post('/api/device/:deviceId/commands/ack', (req, res) => {
+  const { deviceId } = req.params;
+  const authError = checkDeviceAccess(req, deviceId);
+  if (authError) {
+    return res.status(authError.status).json({ success: false, error: authError.error });
+  }
+  const cursor = req.body && req.body.cursor !== undefined ? parseCursor(req.body.cursor) : null;
+  if (cursor === null) {
+    return res.status(400).json({ success: false, error: '"cursor" must be a whole number >= 0' });
+  }
+  const acked = outbox.ack(deviceId, cursor);
+  res.json({ success: true, acked, pending: outbox.pendingCount(deviceId) });
+});
+
+// Legacy polling endpoint for firmware without cursors: returns the oldest
+// queued ALARM and acknowledges it with everything queued before it
 app.get('/api/device/:deviceId/status', (req, res) => {
   const { deviceId } = req.params;
-  const result = deviceResults.get(deviceId);
+  const authError = checkDeviceAccess(req, deviceId);
+  if (authError) {
+    return res.status(authError.status).json({ success: false, error: authError.error });
+  }
+  const alarm = outbox.list(deviceId).commands.find(c => c.command === 'ALARM');
   
-  if (result) {
-    // Clear result after sending (consume once)
-    deviceResults.delete(deviceId);
+  if (alarm) {
+    outbox.ack(deviceId, alarm.seq);
     console.log('✓ Sent trigger result to device:', deviceId);
     res.json({
       triggered: true,
-      ...result
+      alarmId: alarm.alarmId,
+      transcription: alarm.transcription,
+      confidence: alarm.confidence,
+      triggeredWords: alarm.triggeredWords,
+      timestamp: alarm.timestamp,
+      pending: outbox.pendingCount(deviceId)
     });
   } else {
     res.json({
@@ -622,42 +893,564 @@ app.get('/api/device/:deviceId/status', (req, res) => {
   }
 });
 
-// Clear device result manually
+// Drop every queued command of a device
 app.post('/api/device/:deviceId/clear', (req, res) => {
   const { deviceId } = req.params;
-  deviceResults.delete(deviceId);
+  const authError = checkDeviceAccess(req, deviceId);
+  if (authError) {
+    return res.status(authError.status).json({ success: false, error: authError.error });
+  }
+  outbox.ack(deviceId, Infinity);
+  const principal = auth.authenticate(req);
+  if (principal) recordAudit(principal, 'device.clear', deviceId);
   res.json({ success: true });
 });
 
-// Update trigger words (optional)
-app.post('/api/config/trigger-words', (req, res) => {
-  const { words } = req.body;
+// Update trigger words and/or rules of a profile (the default one unless profileId is given)
+app.post('/api/config/trigger-words', requireRole('admin'), (req, res) => {
+  const { words, rules, profileId = profiles.DEFAULT_PROFILE_ID } = req.body;
   
-  if (!words || !Array.isArray(words)) {
+  if ((!words && !rules) || (words && !Array.isArray(words)) || (rules && !Array.isArray(rules))) {
     return res.status(400).json({ 
       success: false, 
-      error: 'Invalid words array' 
+      error: 'Provide a words array and/or a rules array' 
     });
   }
   
-  // Note: This only updates in memory, not persisted
-  TRIGGER_WORDS.length = 0;
-  TRIGGER_WORDS.push(...words.map(w => w.toLowerCase().trim()));
+  // Words are plain strings or { word, modes, threshold, maxGap };
+  // rules are expression strings or { name, expression }
+  let profile;
+  try {
+    profile = profiles.updateProfile(profileId, { words, rules });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
   
-  console.log('📝 Trigger words updated:', TRIGGER_WORDS);
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown profile: ${profileId}`
+    });
+  }
+  
+  console.log(`📝 Trigger words updated for profile ${profile.id}:`, triggerWordList(profile));
+  recordAudit(req.principal, 'profile.update', profile.id, { words, rules });
   
   res.json({
     success: true,
-    triggerWords: TRIGGER_WORDS
+    profile: profile.id,
+    triggerWords: triggerWordList(profile),
+    triggers: profile.words,
+    rules: profile.rules
+  });
+});
+
+// List trigger-word profiles and device assignments
+app.get('/api/profiles', requireRole('viewer'), (req, res) => {
+  res.json({
+    profiles: profiles.listProfiles(),
+    devices: profiles.listAssignments()
+  });
+});
+
+// Get one profile
+app.get('/api/profiles/:profileId', requireRole('viewer'), (req, res) => {
+  const profile = profiles.getProfile(req.params.profileId);
+  if (!profile) {
+    return res.status(404).json({ success: false, error: 'Profile not found' });
+  }
+  res.json(profile);
+});
+
+// Create a profile: { id?, name, words, rules, suppression }
+app.post('/api/profiles', requireRole('admin'), (req, res) => {
+  try {
+    const profile = profiles.createProfile(req.body);
+    if (!profile) {
+      return res.status(409).json({ success: false, error: 'Profile already exists' });
+    }
+    console.log('📝 Profile created:', profile.id);
+    recordAudit(req.principal, 'profile.create', profile.id, req.body);
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update a profile's name, words, rules and/or suppression
+app.put('/api/profiles/:profileId', requireRole('admin'), (req, res) => {
+  try {
+    const profile = profiles.updateProfile(req.params.profileId, req.body);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    console.log('📝 Profile updated:', profile.id);
+    recordAudit(req.principal, 'profile.update', profile.id, req.body);
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a profile; its devices fall back to the default profile
+app.delete('/api/profiles/:profileId', requireRole('admin'), (req, res) => {
+  try {
+    if (!profiles.deleteProfile(req.params.profileId)) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    console.log('📝 Profile deleted:', req.params.profileId);
+    recordAudit(req.principal, 'profile.delete', req.params.profileId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Get the profile assigned to a device
+app.get('/api/device/:deviceId/profile', requireRole('viewer'), (req, res) => {
+  const { deviceId } = req.params;
+  res.json({
+    deviceId,
+    profile: profiles.getProfileForDevice(deviceId)
   });
 });
 
+// Assign a device to a profile: { profileId } (null returns it to the default)
+app.put('/api/device/:deviceId/profile', requireRole('admin'), (req, res) => {
+  const { deviceId } = req.params;
+  try {
+    profiles.assignDevice(deviceId, req.body.profileId);
+    console.log(`📝 Device ${deviceId} assigned to profile:`, profiles.getDeviceProfileId(deviceId));
+    recordAudit(req.principal, 'device.profile', deviceId, { profileId: profiles.getDeviceProfileId(deviceId) });
+    res.json({
+      success: true,
+      deviceId,
+      profileId: profiles.getDeviceProfileId(deviceId)
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Arming state of every device with a mode, override or schedule
+app.get('/api/arming', requireRole('viewer'), (req, res) => {
+  res.json({ modes: arming.MODES, devices: arming.listStates() });
+});
+
+// Arming state of a device: the mode in effect and where it comes from
+app.get('/api/device/:deviceId/arming', requireRole('viewer'), (req, res) => {
+  res.json(arming.describe(req.params.deviceId));
+});
+
+// Arm, disarm or test a device: { mode, until?, note? }
+app.put('/api/device/:deviceId/arming', requireRole('operator'), (req, res) => {
+  const { deviceId } = req.params;
+  try {
+    const state = arming.setMode(deviceId, req.body || {}, req.principal.name);
+    console.log(`🛡️  [${deviceId}] ${state.override ? `${state.override.mode} until ${state.override.until}` : `Mode set to ${state.baseMode}`}` +
+      (state.source !== 'override' && state.mode !== state.baseMode ? ` (schedule keeps it ${state.mode} for now)` : ''));
+    recordAudit(req.principal, 'device.arming', deviceId, req.body);
+    res.json({ success: true, arming: state });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Replace a device's weekly schedule: { timezone, windows: [{ days, start, end, mode }] }
+app.put('/api/device/:deviceId/schedule', requireRole('admin'), (req, res) => {
+  const { deviceId } = req.params;
+  try {
+    const state = arming.setSchedule(deviceId, req.body, req.principal.name);
+    console.log(`🗓️  [${deviceId}] Schedule set: ${state.schedule.windows.length} window(s) in ${state.schedule.timezone}`);
+    recordAudit(req.principal, 'device.schedule', deviceId, req.body);
+    res.json({ success: true, arming: state });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a device's schedule
+app.delete('/api/device/:deviceId/schedule', requireRole('admin'), (req, res) => {
+  const { deviceId } = req.params;
+  const state = arming.setSchedule(deviceId, null, req.principal.name);
+  console.log(`🗓️  [${deviceId}] Schedule removed`);
+  recordAudit(req.principal, 'device.schedule', deviceId, null);
+  res.json({ success: true, arming: state });
+});
+
+// Voice activity detection settings and how much audio each device had suppressed
+app.get('/api/vad', requireRole('viewer'), (req, res) => {
+  res.json({ ...vad.config(), devices: vad.listStats() });
+});
+
+// Early alarm settings and how often pre-alarms were confirmed, and how early
+app.get('/api/early-alarms', requireRole('viewer'), (req, res) => {
+  res.json({ ...prealarms.config(), devices: prealarms.listStats() });
+});
+
+// Alarm event history: ?deviceId=&from=&to=&word=&type=&limit=&offset=
+app.get('/api/events', requireRole('viewer'), (req, res) => {
+  try {
+    res.json(events.queryEvents(req.query));
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Export matching events (all pages unless limit is given): ?format=csv|json
+app.get('/api/events/export', requireRole('viewer'), (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (format !== 'csv' && format !== 'json') {
+    return res.status(400).json({ success: false, error: 'format must be csv or json' });
+  }
+  
+  let result;
+  try {
+    result = events.queryEvents(req.query, { all: true });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  const fileName = `alarm-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  if (format === 'csv') {
+    res.type('text/csv').send(events.toCsv(result.events));
+  } else {
+    res.json(result.events);
+  }
+});
+
+// List alarms: ?state=triggered|acknowledged|resolved|open&deviceId=
+app.get('/api/alarms', requireRole('viewer'), (req, res) => {
+  const { state, deviceId } = req.query;
+  if (state && state !== 'open' && !alarms.STATES.includes(state)) {
+    return res.status(400).json({ success: false, error: `state must be open or one of: ${alarms.STATES.join(', ')}` });
+  }
+  res.json({ alarms: alarms.listAlarms({ state, deviceId }) });
+});
+
+// Get one alarm with its transition history
+app.get('/api/alarms/:alarmId', requireRole('viewer'), (req, res) => {
+  const alarm = alarms.getAlarm(req.params.alarmId);
+  if (!alarm) {
+    return res.status(404).json({ success: false, error: 'Alarm not found' });
+  }
+  res.json(alarm);
+});
+
+// Acknowledge an alarm: { by?, note? }
+app.post('/api/alarms/:alarmId/acknowledge', requireRole('operator'), (req, res) => {
+  const { by = req.principal.name, note } = req.body || {};
+  let alarm;
+  try {
+    alarm = alarms.acknowledgeAlarm(req.params.alarmId, { by, note });
+  } catch (error) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (!alarm) {
+    return res.status(404).json({ success: false, error: 'Alarm not found' });
+  }
+  
+  escalation.cancelEscalation(alarm.id);
+  console.log(`✋ [${alarm.deviceId}] Alarm acknowledged${by ? ' by ' + by : ''}`);
+  recordAudit(req.principal, 'alarm.acknowledge', alarm.id, { deviceId: alarm.deviceId, by, note: note || null });
+  events.recordEvent({ type: 'alarm.acknowledged', deviceId: alarm.deviceId, alarmId: alarm.id, by: by || null, note: note || null });
+  bus.publish('alarm.acknowledged', { deviceId: alarm.deviceId, alarm });
+  
+  res.json({ success: true, alarm });
+});
+
+// Resolve an alarm and silence the device: { by?, note? }
+app.post('/api/alarms/:alarmId/resolve', requireRole('operator'), (req, res) => {
+  const { by = req.principal.name, note } = req.body || {};
+  let alarm;
+  try {
+    alarm = alarms.resolveAlarm(req.params.alarmId, { by, note });
+  } catch (error) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (!alarm) {
+    return res.status(404).json({ success: false, error: 'Alarm not found' });
+  }
+  
+  escalation.cancelEscalation(alarm.id);
+  
+  // Drop the alarm's ALARM if the device has not picked it up yet, then
+  // silence it over its live socket or through its command queue
+  outbox.remove(alarm.deviceId, c => c.command === 'ALARM' && c.alarmId === alarm.id);
+  const deviceNotified = deliverToDevice(alarm.deviceId, { command: 'OFF', alarmId: alarm.id }) === 'sent';
+  
+  console.log(`✅ [${alarm.deviceId}] Alarm resolved${by ? ' by ' + by : ''}${deviceNotified ? ', OFF sent' : ', OFF queued for polling'}`);
+  recordAudit(req.principal, 'alarm.resolve', alarm.id, { deviceId: alarm.deviceId, by, note: note || null, deviceNotified });
+  events.recordEvent({ type: 'alarm.resolved', deviceId: alarm.deviceId, alarmId: alarm.id, by: by || null, note: note || null });
+  bus.publish('alarm.resolved', { deviceId: alarm.deviceId, alarm, deviceNotified });
+  
+  res.json({ success: true, alarm, deviceNotified, queued: !deviceNotified });
+});
+
+// Close a device's live WebSocket after its credentials were revoked
+function disconnectDevice(deviceId, reason) {
+  const ws = deviceConnections.get(deviceId);
+  if (ws) {
+    console.log(`🔒 [${deviceId}] Closing live connection: ${reason}`);
+    ws.close(1008, reason);
+  }
+}
+
+// Registry entry and presence of a device; either may be missing
+function deviceStatus(deviceId) {
+  const device = devices.getDevice(deviceId);
+  const record = presence.getPresence(deviceId);
+  return {
+    ...(device ? { ...device, registered: true } : { id: deviceId, registered: false }),
+    online: deviceConnections.has(deviceId),
+    transport: record ? record.transport : null,
+    connectedAt: record ? record.connectedAt : null,
+    offlineSince: record ? record.offlineSince : null,
+    lastSeen: record ? record.lastSeen : null,
+    lastAudioAt: record ? record.lastAudioAt : null,
+    lastSoundAt: record ? record.lastSoundAt : null,
+    firmware: record ? record.firmware || null : null,
+    session: record ? record.session || null : null,
+    alerts: record ? record.alerts : [],
+    arming: arming.getState(deviceId),
+    pendingCommands: outbox.pendingCount(deviceId),
+    vad: vad.getDeviceStats(deviceId)
+  };
+}
+
+// List provisioned devices and any other device that has been seen, with presence
+app.get('/api/devices', requireRole('viewer'), (req, res) => {
+  const ids = new Set([
+    ...devices.listDevices().map(d => d.id),
+    ...presence.listPresence().map(p => p.deviceId)
+  ]);
+  res.json({ devices: [...ids].map(deviceStatus), authRequired: devices.AUTH_REQUIRED });
+});
+
+// Get one device with its presence
+app.get('/api/devices/:deviceId', requireRole('viewer'), (req, res) => {
+  const { deviceId } = req.params;
+  if (!devices.getDevice(deviceId) && !presence.getPresence(deviceId)) {
+    return res.status(404).json({ success: false, error: 'Device not found' });
+  }
+  res.json(deviceStatus(deviceId));
+});
+
+// Provision a device: { id, name? }; the key is only returned here and on rotation
+app.post('/api/devices', requireRole('admin'), (req, res) => {
+  try {
+    const created = devices.createDevice(req.body);
+    if (!created) {
+      return res.status(409).json({ success: false, error: 'Device already exists' });
+    }
+    console.log('📝 Device provisioned:', created.device.id);
+    recordAudit(req.principal, 'device.create', created.device.id, { name: created.device.name });
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Allow a device to connect again
+app.post('/api/devices/:deviceId/enable', requireRole('admin'), (req, res) => {
+  const device = devices.setEnabled(req.params.deviceId, true);
+  if (!device) {
+    return res.status(404).json({ success: false, error: 'Device not found' });
+  }
+  console.log('📝 Device enabled:', device.id);
+  recordAudit(req.principal, 'device.enable', device.id);
+  res.json({ success: true, device });
+});
+
+// Block a device and drop its live connection
+app.post('/api/devices/:deviceId/disable', requireRole('admin'), (req, res) => {
+  const device = devices.setEnabled(req.params.deviceId, false);
+  if (!device) {
+    return res.status(404).json({ success: false, error: 'Device not found' });
+  }
+  console.log('📝 Device disabled:', device.id);
+  recordAudit(req.principal, 'device.disable', device.id);
+  disconnectDevice(device.id, 'Device disabled');
+  res.json({ success: true, device });
+});
+
+// Issue a new key; the old one stops working immediately
+app.post('/api/devices/:deviceId/rotate-key', requireRole('admin'), (req, res) => {
+  const rotated = devices.rotateKey(req.params.deviceId);
+  if (!rotated) {
+    return res.status(404).json({ success: false, error: 'Device not found' });
+  }
+  console.log('📝 Device key rotated:', rotated.device.id);
+  recordAudit(req.principal, 'device.rotate-key', rotated.device.id);
+  disconnectDevice(rotated.device.id, 'Device key rotated');
+  res.json({ success: true, ...rotated });
+});
+
+// Remove a device from the registry
+app.delete('/api/devices/:deviceId', requireRole('admin'), (req, res) => {
+  if (!devices.deleteDevice(req.params.deviceId)) {
+    return res.status(404).json({ success: false, error: 'Device not found' });
+  }
+  console.log('📝 Device deleted:', req.params.deviceId);
+  presence.forgetDevice(req.params.deviceId);
+  vad.forgetDevice(req.params.deviceId);
+  prealarms.forgetDevice(req.params.deviceId);
+  suppression.forgetDevice(req.params.deviceId);
+  arming.forgetDevice(req.params.deviceId);
+  outbox.forgetDevice(req.params.deviceId);
+  recordAudit(req.principal, 'device.delete', req.params.deviceId);
+  disconnectDevice(req.params.deviceId, 'Device deleted');
+  res.json({ success: true });
+});
+
+// List escalation policies
+app.get('/api/escalation-policies', requireRole('viewer'), (req, res) => {
+  res.json({ policies: escalation.listPolicies() });
+});
+
+// Get one escalation policy
+app.get('/api/escalation-policies/:policyId', requireRole('viewer'), (req, res) => {
+  const policy = escalation.getPolicy(req.params.policyId);
+  if (!policy) {
+    return res.status(404).json({ success: false, error: 'Policy not found' });
+  }
+  res.json(policy);
+});
+
+// Create an escalation policy: { id?, name, devices, profiles, steps }
+app.post('/api/escalation-policies', requireRole('admin'), (req, res) => {
+  try {
+    const policy = escalation.createPolicy(req.body);
+    if (!policy) {
+      return res.status(409).json({ success: false, error: 'Policy already exists' });
+    }
+    console.log('📝 Escalation policy created:', policy.id);
+    recordAudit(req.principal, 'escalation-policy.create', policy.id, req.body);
+    res.status(201).json({ success: true, policy });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update an escalation policy (applies to alarms opened afterwards)
+app.put('/api/escalation-policies/:policyId', requireRole('admin'), (req, res) => {
+  try {
+    const policy = escalation.updatePolicy(req.params.policyId, req.body);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'Policy not found' });
+    }
+    console.log('📝 Escalation policy updated:', policy.id);
+    recordAudit(req.principal, 'escalation-policy.update', policy.id, req.body);
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an escalation policy
+app.delete('/api/escalation-policies/:policyId', requireRole('admin'), (req, res) => {
+  if (!escalation.deletePolicy(req.params.policyId)) {
+    return res.status(404).json({ success: false, error: 'Policy not found' });
+  }
+  console.log('📝 Escalation policy deleted:', req.params.policyId);
+  recordAudit(req.principal, 'escalation-policy.delete', req.params.policyId);
+  res.json({ success: true });
+});
+
+// List webhook subscriptions (secrets redacted)
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+  res.json({
+    webhooks: webhooks.listSubscriptions(),
+    eventTypes: webhooks.WEBHOOK_EVENT_TYPES
+  });
+});
+
+// Failed deliveries, newest first
+app.get('/api/webhooks/dead-letters', requireRole('admin'), (req, res) => {
+  res.json({ deadLetters: webhooks.listDeadLetters() });
+});
+
+// Get one webhook subscription
+app.get('/api/webhooks/:webhookId', requireRole('admin'), (req, res) => {
+  const subscription = webhooks.getSubscription(req.params.webhookId);
+  if (!subscription) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json(subscription);
+});
+
+// Subscribe: { url, events, secret? } — the response is the only time the full secret is shown
+app.post('/api/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const subscription = webhooks.createSubscription(req.body);
+    console.log('📝 Webhook created:', subscription.url, subscription.events.join(', '));
+    recordAudit(req.principal, 'webhook.create', subscription.id, { url: subscription.url, events: subscription.events });
+    res.status(201).json({ success: true, webhook: subscription });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update url, events, secret or enabled
+app.put('/api/webhooks/:webhookId', requireRole('admin'), (req, res) => {
+  try {
+    const subscription = webhooks.updateSubscription(req.params.webhookId, req.body);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    console.log('📝 Webhook updated:', subscription.id);
+    recordAudit(req.principal, 'webhook.update', subscription.id, { ...req.body, secret: req.body.secret ? '[redacted]' : undefined });
+    res.json({ success: true, webhook: subscription });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a webhook subscription
+app.delete('/api/webhooks/:webhookId', requireRole('admin'), (req, res) => {
+  if (!webhooks.deleteSubscription(req.params.webhookId)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  console.log('📝 Webhook deleted:', req.params.webhookId);
+  recordAudit(req.principal, 'webhook.delete', req.params.webhookId);
+  res.json({ success: true });
+});
+
+// Send a webhook.test event and report whether it was accepted
+app.post('/api/webhooks/:webhookId/test', requireRole('admin'), async (req, res) => {
+  const result = await webhooks.sendTest(req.params.webhookId);
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: result.delivered, ...result });
+});
+
 // Handle WebSocket upgrade requests
 server.on('upgrade', (request, socket, head) => {
   const pathname = new URL(request.url, 'http://localhost').pathname;
   
   // Check if this is a WebSocket audio endpoint
   if (pathname.startsWith('/ws/audio/')) {
+    // Only provisioned, enabled devices with a valid key may stream
+    let deviceId;
+    try {
+      deviceId = audioDeviceId(request.url);
+    } catch (error) {
+      console.warn(`🔒 [WS] Rejected ${request.url}: ${error.message}`);
+      rejectUpgrade(socket, 400, 'Invalid device ID');
+      return;
+    }
+    const authError = devices.verifyDevice(deviceId, devices.keyFromRequest(request));
+    if (authError) {
+      console.warn(`🔒 [WS] Rejected ${deviceId || 'unknown device'}: ${authError.error}`);
+      rejectUpgrade(socket, authError.status, authError.error);
+      return;
+    }
+    
     wss.handleUpgrade(request, socket, head, (ws) => {
       wss.emit('connection', ws, request);
     });
@@ -667,6 +1460,24 @@ server.on('upgrade', (request, socket, head) => {
   }
 });
 
+// Device ID from a /ws/audio/:deviceId URL, or null; throws a URIError on bad percent-encoding
+function audioDeviceId(url) {
+  const match = new URL(url, 'http://localhost').pathname.match(/^\/ws\/audio\/([^/]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Answer a WebSocket upgrade with a plain HTTP error and drop the socket
+function rejectUpgrade(socket, status, message) {
+  const body = JSON.stringify({ success: false, error: message });
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+}
+
 // Start server (use server.listen, not app.listen)
 server.listen(PORT, '0.0.0.0', () => {
   console.log('\n╔═══════════════════════════════════════════════════╗');
@@ -676,29 +1487,54 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log('🚀 Server running on port:', PORT);
   
   // Display active speech API configuration
-  if (SPEECH_API === 'deepgram') {
-    console.log('🎤 Speech API: Deepgram');
-    console.log('   ⚡ Mode: Live streaming (real-time)');
-    console.log('   ⏱️  Latency: <1 second');
-    console.log('   🔑 API Key:', DEEPGRAM_API_KEY ? '✓ Configured' : '✗ Missing');
-  } else if (SPEECH_API === 'assemblyai') {
-    console.log('🎤 Speech API: AssemblyAI');
-    console.log('   📦 Mode: Buffered processing (3-second chunks)');
-    console.log('   ⏱️  Latency: 2-5 seconds');
-    console.log('   🔑 API Key:', ASSEMBLYAI_API_KEY ? '✓ Configured' : '✗ Missing');
-  }
-  
-  console.log('🎯 Trigger words:', TRIGGER_WORDS.join(', '));
+  console.log('🎤 Speech API:', speechProvider.name);
+  console.log('   ⚡ Mode:', speechProvider.mode);
+  console.log('   ⏱️  Latency:', speechProvider.latency);
+  console.log('   🔑 Configured:', speechProvider.isConfigured() ? '✓ Yes' : '✗ Missing');
+  if (prealarms.EARLY_ALARM) {
+    console.log(`   ⚠️  Early alarms: PRE_ALARM on interim transcripts (cancelled after ${prealarms.config().timeoutMs} ms without a final)`);
+  }
+  
+  console.log('🎯 Trigger words:', triggerWordList().join(', '));
+  console.log('🔒 Admin auth:', auth.AUTH_REQUIRED ? `required (${auth.listTokens().length} API tokens${process.env.ADMIN_TOKEN ? ' + ADMIN_TOKEN' : ''})` : '✗ OFF - every request is admin');
+  if (auth.AUTH_REQUIRED && auth.listTokens().length === 0 && !process.env.ADMIN_TOKEN) {
+    console.warn('⚠️  No API tokens yet: set ADMIN_TOKEN to sign in and create some');
+  }
+  console.log('🔒 Device auth:', devices.AUTH_REQUIRED ? `required (${devices.listDevices().length} devices provisioned)` : '✗ OFF - any device ID is accepted');
   console.log('');
   console.log('📍 HTTP Endpoints:');
   console.log('   GET  /health              - Health check');
+  console.log('   GET  /dashboard           - Live operations dashboard (SSE: /api/dashboard/stream)');
   console.log('   POST /api/process-audio   - Process audio and get transcription');
   console.log('   GET  /api/config          - Get configuration');
   console.log('   POST /api/config/trigger-words - Update trigger words');
+  console.log('   *    /api/profiles        - Trigger-word profiles (CRUD)');
+  console.log('   PUT  /api/device/:deviceId/profile - Assign a device to a profile');
+  console.log('   GET  /api/events          - Alarm event history (+ /export)');
+  console.log('   GET  /api/vad             - Voice activity detection settings and suppression stats');
+  console.log('   GET  /api/early-alarms    - Early alarm settings and how much sooner alarms fired');
+  console.log('   GET  /api/arming          - Armed/disarmed/test state per device (+ PUT /api/device/:id/arming, /schedule)');
+  console.log('   GET  /api/device/:deviceId/commands - Queued commands for HTTP devices (long-poll, + /ack)');
+  console.log('   GET  /api/alarms          - Alarms (+ /:alarmId/acknowledge, /:alarmId/resolve)');
+  console.log('   *    /api/auth/tokens     - API tokens (viewer, operator, admin) + /api/auth/login');
+  console.log('   GET  /api/audit           - Audit log of configuration changes');
+  console.log('   *    /api/devices         - Device registry (enable, disable, rotate-key)');
+  console.log('   *    /api/escalation-policies - Escalation policies (CRUD)');
+  console.log('   *    /api/webhooks        - Signed outbound webhooks (CRUD, /:webhookId/test)');
   console.log('');
   console.log('🔌 WebSocket Endpoints:');
   console.log('   WS   /ws/audio/:deviceId  - Live audio streaming from ESP32 devices');
   console.log('');
+  if (mqttBridge.isEnabled()) {
+    console.log(`📡 MQTT bridge: ${mqttBridge.TOPIC_PREFIX}/<deviceId>/{alarm,transcription,status,command}`);
+    mqttBridge.start(deviceConnections);
+    console.log('');
+  }
+  // Pick up escalations for alarms left unacknowledged before a restart
+  for (const alarm of alarms.listAlarms({ state: 'triggered' })) {
+    escalation.scheduleEscalation(alarm, escalation.getPolicy(alarm.policyId), alarms.getAlarm, runEscalationStep);
+  }
+  
   console.log('🌐 Ready to accept requests!');
   console.log('═══════════════════════════════════════════════════\n');
 });
@@ -728,6 +1564,18 @@ const shutdown = async (signal) => {
     ws.close(1001, 'Server shutting down');
   });
   deviceConnections.clear();
+  dashboard.closeStreams();
+  outbox.releaseWaiters();
+  
+  // Force close after 10 seconds
+  setTimeout(() => {
+    console.error('Forced shutdown after timeout');
+    process.exit(1);
+  }, 10000);
+  
+  await mqttBridge.stop().catch((error) => {
+    console.error('MQTT bridge did not stop cleanly:', error.message);
+  });
   
   // Close WebSocket server
   wss.close(() => {
@@ -740,12 +1588,6 @@ const shutdown = async (signal) => {
     console.log('✓ Graceful shutdown complete');
     process.exit(0);
   });
-  
-  // Force close after 10 seconds
-  setTimeout(() => {
-    console.error('Forced shutdown after timeout');
-    process.exit(1);
-  }, 10000);
 };
 
 process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,171 @@
+// AssemblyAI real-time streaming test against a fake local streaming server
+// Start the server with SPEECH_API=assemblyai ASSEMBLYAI_API_KEY=test-key
+// ASSEMBLYAI_STREAMING_URL=ws://localhost:8765 and pass its ADMIN_TOKEN to this script.
+// The fake server speaks the Universal Streaming (v3) protocol: Begin, partial
+// and final Turn messages, ForceEndpoint and Terminate.
+const WebSocket = require('ws');
+const { admin, waitFor, provisionDevice } = require('./test-helpers');
+
+const FAKE_PORT = parseInt(process.env.FAKE_ASSEMBLYAI_PORT || '8765', 10);
+const DEVICE_ID = 'TEST-ASSEMBLYAI';
+const WS_URL = `ws://localhost:3000/ws/audio/${DEVICE_ID}`;
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+// One more word of the utterance is "recognized" for every WORD_SECONDS of audio
+const UTTERANCE = ['help', 'there', 'is', 'a', 'fire'];
+const WORD_SECONDS = 0.4;
+
+console.log('🧪 AssemblyAI Real-time Streaming Test\n');
+
+const sessions = [];
+const deviceMessages = [];
+
+// Fake AssemblyAI streaming endpoint
+const fake = new WebSocket.Server({ port: FAKE_PORT });
+fake.on('connection', (socket, req) => {
+  const url = new URL(req.url, `ws://localhost:${FAKE_PORT}`);
+  const session = {
+    authorization: req.headers.authorization,
+    params: Object.fromEntries(url.searchParams),
+    chunks: [],
+    partials: 0,
+    finals: 0,
+    forcedEndpoints: 0,
+    terminated: false
+  };
+  sessions.push(session);
+  console.log(`   🛰️  Fake server: session opened (${url.search})`);
+
+  const bytesPerSecond = parseInt(session.params.sample_rate, 10) * (session.params.encoding === 'pcm_mulaw' ? 1 : 2);
+  let audioSeconds = 0;
+  let turnStartSeconds = 0;
+  let spoken = 0;
+  let turnOrder = 0;
+
+  const turn = (endOfTurn) => {
+    const words = UTTERANCE.slice(0, spoken).map((text, i) => ({
+      text,
+      start: Math.round(i * WORD_SECONDS * 1000),
+      end: Math.round((i + 1) * WORD_SECONDS * 1000),
+      confidence: 0.9,
+      word_is_final: endOfTurn
+    }));
+    socket.send(JSON.stringify({
+      type: 'Turn',
+      turn_order: turnOrder,
+      turn_is_formatted: false,
+      end_of_turn: endOfTurn,
+      transcript: words.map(w => w.text).join(' '),
+      end_of_turn_confidence: endOfTurn ? 0.9 : 0.1,
+      words
+    }));
+    if (endOfTurn) {
+      session.finals++;
+      turnOrder++;
+      turnStartSeconds = audioSeconds;
+      spoken = 0;
+    } else {
+      session.partials++;
+    }
+  };
+
+  if (!req.headers.authorization) {
+    socket.send(JSON.stringify({ error: 'Missing authorization' }));
+    socket.close(1008, 'Unauthorized');
+    return;
+  }
+  socket.send(JSON.stringify({ type: 'Begin', id: `fake-${sessions.length}`, expires_at: Math.floor(Date.now() / 1000) + 3600 }));
+
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      const seconds = data.length / bytesPerSecond;
+      session.chunks.push(seconds);
+      // The real service rejects chunks outside 50-1000 ms
+      if (seconds < 0.05 || seconds > 1) {
+        socket.close(3007, 'Input duration violation');
+        return;
+      }
+      audioSeconds += seconds;
+      while (spoken < UTTERANCE.length && audioSeconds - turnStartSeconds >= (spoken + 1) * WORD_SECONDS) {
+        spoken++;
+        turn(spoken === UTTERANCE.length);
+      }
+      return;
+    }
+    const message = JSON.parse(data.toString());
+    if (message.type === 'ForceEndpoint') {
+      session.forcedEndpoints++;
+      if (spoken > 0) turn(true);
+    } else if (message.type === 'Terminate') {
+      session.terminated = true;
+      socket.send(JSON.stringify({ type: 'Termination', audio_duration_seconds: audioSeconds, session_duration_seconds: audioSeconds }));
+      socket.close(1000);
+    }
+  });
+});
+
+// Stream `seconds` of quiet noise in 20 ms chunks, as a device would
+const streamAudio = async (ws, seconds) => {
+  const chunkBytes = BYTES_PER_SECOND / 50;
+  for (let sent = 0; sent < seconds * BYTES_PER_SECOND; sent += chunkBytes) {
+    const chunk = Buffer.alloc(chunkBytes);
+    for (let i = 0; i < chunkBytes; i += 2) chunk.writeInt16LE(Math.round((Math.random() - 0.5) * 2000), i);
+    ws.send(chunk);
+    if ((sent / chunkBytes) % 10 === 9) await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+(async () => {
+  let ws;
+  let deviceKey = null;
+
+  try {
+    await new Promise(resolve => fake.once('listening', resolve));
+    console.log(`1️⃣ Fake AssemblyAI listening on ws://localhost:${FAKE_PORT}\n`);
+
+    deviceKey = await provisionDevice(DEVICE_ID, 'AssemblyAI streaming test');
+
+    console.log('2️⃣ Connecting device WebSocket...');
+    ws = new WebSocket(WS_URL, { headers: { Authorization: `Bearer ${deviceKey}` } });
+    ws.on('message', data => deviceMessages.push(JSON.parse(data.toString())));
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    ws.send(JSON.stringify({ type: 'hello', protocol: 1, sampleRate: SAMPLE_RATE, encoding: 'linear16', channels: 1, language: 'en' }));
+    await waitFor(() => deviceMessages.some(m => m.type === 'hello_ack'), 3000, 'hello_ack');
+    await waitFor(() => sessions.length === 1, 3000, 'the server to open a streaming session');
+    const session = sessions[0];
+    if (session.authorization !== 'test-key') throw new Error(`Unexpected authorization header: ${session.authorization}`);
+    if (session.params.sample_rate !== String(SAMPLE_RATE) || session.params.encoding !== 'pcm_s16le') {
+      throw new Error(`Unexpected session parameters: ${JSON.stringify(session.params)}`);
+    }
+    console.log('   ✅ Streaming session opened with the API key and session format\n');
+
+    console.log('3️⃣ Streaming audio until the fake service hears "help there is a fire"...');
+    await streamAudio(ws, UTTERANCE.length * WORD_SECONDS + 0.2);
+    await waitFor(() => deviceMessages.some(m => m.command === 'ALARM'), 5000, 'ALARM');
+    const alarm = deviceMessages.find(m => m.command === 'ALARM');
+    console.log(`   Partials sent: ${session.partials}, finals sent: ${session.finals}`);
+    console.log(`   Chunks received: ${session.chunks.length} (${Math.min(...session.chunks).toFixed(3)}-${Math.max(...session.chunks).toFixed(3)} s)`);
+    if (alarm.transcription !== UTTERANCE.join(' ')) throw new Error(`Unexpected alarm transcript: ${alarm.transcription}`);
+    if (deviceMessages.filter(m => m.command === 'ALARM').length !== 1) throw new Error('Partial transcripts raised alarms');
+    console.log('   ✅ One ALARM from the final transcript, none from partials\n');
+
+    console.log('4️⃣ Disconnecting device...');
+    ws.close();
+    await waitFor(() => session.terminated, 3000, 'Terminate at the fake service');
+    console.log('   ✅ Session terminated\n');
+
+    console.log('✅ TEST PASSED!');
+    console.log(`   Device messages received: ${deviceMessages.length}\n`);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (ws) ws.terminate();
+    if (deviceKey) await admin.delete(`/api/devices/${DEVICE_ID}`).catch(() => {});
+    fake.close();
+  }
+})();
@@ -0,0 +1,38 @@
+// Shared helpers for the test scripts that drive a running server
+const axios = require('axios');
+
+const SERVER = 'http://localhost:3000';
+// Management calls need an admin token unless the server runs with ADMIN_AUTH=off
+const admin = axios.create({
+  baseURL: SERVER,
+  headers: process.env.ADMIN_TOKEN ? { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` } : {}
+});
+
+// Poll until predicate() holds, or fail after timeoutMs
+const waitFor = async (predicate, timeoutMs, label) => {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (predicate()) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+};
+
+// Provision a test device, or issue a new key if it already exists; returns the key
+const provisionDevice = async (id, name) => {
+  try {
+    const { data } = await admin.post('/api/devices', { id, name });
+    return data.key;
+  } catch (err) {
+    if (!err.response || err.response.status !== 409) throw err;
+    const { data } = await admin.post(`/api/devices/${id}/rotate-key`);
+    return data.key;
+  }
+};
+
+module.exports = {
+  SERVER,
+  admin,
+  waitFor,
+  provisionDevice
+};
@@ -0,0 +1,103 @@
+// MQTT bridge test against an embedded broker
+// Start the server with SPEECH_API=mock MQTT_URL=mqtt://localhost:1883 (it
+// reconnects until this script's broker is up) and pass its ADMIN_TOKEN to this script
+const net = require('net');
+const aedes = require('aedes');
+const mqtt = require('mqtt');
+const WebSocket = require('ws');
+const { admin, waitFor, provisionDevice } = require('./test-helpers');
+
+const BROKER_PORT = 1883;
+const DEVICE_ID = 'TEST-MQTT';
+const WS_URL = `ws://localhost:3000/ws/audio/${DEVICE_ID}`;
+const PREFIX = process.env.MQTT_TOPIC_PREFIX || 'voice-alarm';
+
+console.log('🧪 MQTT Bridge Test\n');
+
+const broker = aedes();
+const brokerServer = net.createServer(broker.handle);
+const received = [];
+const deviceMessages = [];
+
+const topicReceived = (suffix, predicate = () => true) =>
+  received.some(m => m.topic === `${PREFIX}/${DEVICE_ID}/${suffix}` && predicate(m.payload));
+
+(async () => {
+  let client;
+  let ws;
+  let deviceKey = null;
+
+  try {
+    deviceKey = await provisionDevice(DEVICE_ID, 'MQTT test');
+
+    await new Promise(resolve => brokerServer.listen(BROKER_PORT, resolve));
+    console.log(`1️⃣ Broker listening on mqtt://localhost:${BROKER_PORT}`);
+
+    client = mqtt.connect(`mqtt://localhost:${BROKER_PORT}`);
+    await new Promise((resolve, reject) => {
+      client.once('connect', resolve);
+      client.once('error', reject);
+    });
+    await client.subscribeAsync([`${PREFIX}/${DEVICE_ID}/#`, `${PREFIX}/server/status`]);
+    client.on('message', (topic, payload) => {
+      const text = payload.toString();
+      let parsed = text;
+      try { parsed = JSON.parse(text); } catch (e) { /* plain text payload */ }
+      received.push({ topic, payload: parsed });
+      console.log(`   📥 ${topic}: ${text.slice(0, 80)}${text.length > 80 ? '...' : ''}`);
+    });
+
+    await waitFor(() => received.some(m => m.topic === `${PREFIX}/server/status` && m.payload === 'online'), 15000, 'server to connect');
+    console.log('   ✅ Server connected to the broker\n');
+
+    console.log('2️⃣ Connecting device WebSocket...');
+    ws = new WebSocket(WS_URL, { headers: { Authorization: `Bearer ${deviceKey}` } });
+    ws.on('message', data => deviceMessages.push(JSON.parse(data.toString())));
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    await waitFor(() => topicReceived('status', p => p.type === 'device.online'), 3000, 'device.online');
+    console.log('   ✅ Device status published\n');
+
+    console.log('3️⃣ Streaming audio until an alarm triggers (mock provider)...');
+    for (let i = 0; i < 4; i++) {
+      ws.send(Buffer.alloc(32000));
+    }
+    await waitFor(() => topicReceived('transcription'), 5000, 'transcription');
+    await waitFor(() => topicReceived('alarm', p => p.type === 'alarm.triggered'), 5000, 'alarm.triggered');
+    console.log('   ✅ Transcription and alarm published\n');
+
+    console.log('4️⃣ Sending MIC_STOP and OFF commands over MQTT...');
+    client.publish(`${PREFIX}/${DEVICE_ID}/command`, 'mic/stop');
+    client.publish(`${PREFIX}/${DEVICE_ID}/command`, JSON.stringify({ command: 'OFF' }));
+    await waitFor(() => deviceMessages.some(m => m.command === 'MIC_STOP'), 3000, 'MIC_STOP at the device');
+    await waitFor(() => deviceMessages.some(m => m.command === 'OFF' && m.source === 'mqtt'), 3000, 'OFF at the device');
+    await waitFor(() => topicReceived('command/result', p => p.command === 'OFF' && p.delivered), 3000, 'command result');
+    console.log('   ✅ Commands relayed to the device\n');
+
+    console.log('5️⃣ Sending an unknown command...');
+    client.publish(`${PREFIX}/${DEVICE_ID}/command`, 'SELF_DESTRUCT');
+    await waitFor(() => topicReceived('command/result', p => p.command === null && !p.delivered), 3000, 'rejection');
+    console.log('   ✅ Unknown command rejected\n');
+
+    console.log('6️⃣ Disconnecting device...');
+    ws.close();
+    await waitFor(() => topicReceived('status', p => p.type === 'device.offline'), 3000, 'device.offline');
+    console.log('   ✅ Offline status published\n');
+
+    console.log('✅ TEST PASSED!');
+    console.log(`   MQTT messages received: ${received.length}`);
+    console.log(`   Device messages received: ${deviceMessages.length}\n`);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (ws) ws.terminate();
+    if (deviceKey) await admin.delete(`/api/devices/${DEVICE_ID}`).catch(() => {});
+    if (client) await client.endAsync();
+    broker.close();
+    brokerServer.close();
+  }
+})();
@@ -0,0 +1,105 @@
+// Webhook delivery test against a local HTTP receiver
+// Start the server first (any SPEECH_API; the audio requests pick the mock provider) and
+// pass its ADMIN_TOKEN: ADMIN_TOKEN=... node test-webhooks.js
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { SERVER, admin, waitFor, provisionDevice } = require('./test-helpers');
+
+const RECEIVER_PORT = 4000;
+const DEVICE_ID = 'TEST-WEBHOOKS';
+const SECRET = crypto.randomBytes(24).toString('hex');
+
+console.log('🧪 Webhook Test\n');
+
+const received = [];
+const failedIds = [];
+let failNext = 0;
+
+// Local receiver: verifies every signature, can be told to fail requests
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    if (failNext > 0) {
+      failNext--;
+      failedIds.push(req.headers['x-webhook-id']);
+      console.log(`   📥 ${req.headers['x-webhook-event']} → answering 500 (forced failure)`);
+      res.writeHead(500);
+      return res.end();
+    }
+
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    const valid = req.headers['x-webhook-signature'] === expected;
+
+    const payload = JSON.parse(body);
+    received.push({ payload, valid, deliveryId: req.headers['x-webhook-id'] });
+    console.log(`   📥 ${payload.type} (signature ${valid ? 'valid' : 'INVALID'})`);
+    res.writeHead(200);
+    res.end('ok');
+  });
+});
+
+(async () => {
+  let webhookId = null;
+  let deviceKey = null;
+
+  try {
+    deviceKey = await provisionDevice(DEVICE_ID, 'Webhook test');
+
+    await new Promise(resolve => receiver.listen(RECEIVER_PORT, resolve));
+    console.log(`1️⃣ Receiver listening on http://localhost:${RECEIVER_PORT}\n`);
+
+    console.log('2️⃣ Creating webhook subscription...');
+    const { data } = await admin.post('/api/webhooks', {
+      url: `http://localhost:${RECEIVER_PORT}/hook`,
+      events: ['alarm.triggered', 'transcription.received', 'webhook.test'],
+      secret: SECRET
+    });
+    webhookId = data.webhook.id;
+    console.log(`   ✅ Created ${webhookId}\n`);
+
+    console.log('3️⃣ Sending test event...');
+    const test = await admin.post(`/api/webhooks/${webhookId}/test`);
+    if (!test.data.delivered) throw new Error('Test delivery failed');
+    await waitFor(() => received.some(r => r.payload.type === 'webhook.test'), 2000, 'webhook.test');
+    console.log('   ✅ Test event delivered\n');
+
+    console.log('4️⃣ Posting audio until an alarm triggers (mock provider)...');
+    for (let i = 0; i < 2; i++) {
+      await axios.post(`${SERVER}/api/process-audio`, Buffer.alloc(3200), {
+        headers: { 'content-type': 'audio/raw', 'x-device-id': DEVICE_ID, 'x-device-key': deviceKey, 'x-speech-api': 'mock' }
+      });
+    }
+    await waitFor(() => received.some(r => r.payload.type === 'alarm.triggered'), 5000, 'alarm.triggered');
+    console.log('   ✅ alarm.triggered delivered\n');
+
+    console.log('5️⃣ Failing the next delivery to check retries...');
+    failNext = 1;
+    await axios.post(`${SERVER}/api/process-audio`, Buffer.alloc(3200), {
+      headers: { 'content-type': 'audio/raw', 'x-device-id': DEVICE_ID, 'x-device-key': deviceKey, 'x-speech-api': 'mock' }
+    });
+    await waitFor(() => received.some(r => failedIds.includes(r.deliveryId)), 10000, 'retried delivery');
+    console.log('   ✅ Delivery retried after a failure\n');
+
+    const invalid = received.filter(r => !r.valid);
+    if (invalid.length > 0) throw new Error(`${invalid.length} deliveries had an invalid signature`);
+
+    console.log('✅ TEST PASSED!');
+    console.log(`   Deliveries received: ${received.length}`);
+    console.log(`   Event types: ${[...new Set(received.map(r => r.payload.type))].join(', ')}\n`);
+    process.exitCode = 0;
+  } catch (err) {
+    console.error('\n❌ Test failed:', err.response ? `HTTP ${err.response.status} ${JSON.stringify(err.response.data)}` : err.message);
+    process.exitCode = 1;
+  } finally {
+    if (webhookId) {
+      await admin.delete(`/api/webhooks/${webhookId}`).catch(() => {});
+    }
+    if (deviceKey) {
+      await admin.delete(`/api/devices/${DEVICE_ID}`).catch(() => {});
+    }
+    receiver.close();
+  }
+})();
@@ -1,11 +1,14 @@
 const WebSocket = require('ws');
 
 const WS_URL = 'ws://localhost:3000/ws/audio/TEST001';
+const DEVICE_KEY = process.env.DEVICE_KEY; // key from POST /api/devices, unless DEVICE_AUTH=off
 
 console.log('🧪 WebSocket Ping/Pong Test');
 console.log(`📡 Connecting to: ${WS_URL}\n`);
 
-const ws = new WebSocket(WS_URL);
+const ws = new WebSocket(WS_URL, {
+  headers: DEVICE_KEY ? { Authorization: `Bearer ${DEVICE_KEY}` } : {}
+});
 
 let pingCount = 0;
 let pongCount = 0;